@@ -2,50 +2,114 @@
 
 
 
-import { useEffect, useState } from 'react';
-import { useRouter } from 'next/navigation';
+import { useEffect, useState, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
 import Topbar from '@/components/Topbar';
+import AccountSettings from '@/components/AccountSettings';
+import PasswordStrengthMeter from '@/components/PasswordStrengthMeter';
 import { supabase } from '@/lib/supabase';
-import { useAuth } from '@/hooks/useAuth';
-import { signupUser, loginUser, logoutUser, getSavedPlaceIds } from '@/lib/storage';
+import { useAuth, useAuthRedirectError } from '@/hooks/useAuth';
+import { useSavedSync } from '@/hooks/useSavedSync';
+import { usePlaces } from '@/hooks/usePlaces';
+import {
+  signupUser,
+  loginUser,
+  logoutUser,
+  getSavedPlaceIds,
+  sendSignInEmail,
+  verifySignInCode,
+} from '@/lib/storage';
+import { RETURN_TO_PARAM, getLoginUrl, sanitizeReturnTo } from '@/lib/session';
+import { validateEmail, validateFields, validateName, validatePassword } from '@/lib/validator';
 
 export default function AccountPage() {
+  return (
+    <Suspense fallback={<div className="loading-state">one sec…</div>}>
+      <AccountPageInner />
+    </Suspense>
+  );
+}
+
+function AccountPageInner() {
   const user = useAuth(); // undefined=loading, null=signed out, obj=signed in
   const router = useRouter();
+  const searchParams = useSearchParams();
+  const returnTo = sanitizeReturnTo(searchParams.get(RETURN_TO_PARAM));
   const [message, setMessage] = useState({ text: '', isError: false });
-  const [places, setPlaces] = useState([]);
+  // For saved places display; closed ones still resolve
+  const { places } = usePlaces({ includeClosed: true });
   const [signupData, setSignupData] = useState({ name: '', email: '', password: '' });
+  const [signupErrors, setSignupErrors] = useState({});
   const [loginData, setLoginData] = useState({ email: '', password: '' });
   const [showForgot, setShowForgot] = useState(false);
   const [forgotEmail, setForgotEmail] = useState('');
   const [forgotStatus, setForgotStatus] = useState({ text: '', isError: false });
+  const [showEmailSignIn, setShowEmailSignIn] = useState(false);
+  const [emailSignIn, setEmailSignIn] = useState({ email: '', code: '', sentTo: '' });
+  const [emailSignInStatus, setEmailSignInStatus] = useState({ text: '', isError: false });
+  const [resendIn, setResendIn] = useState(0);
+  const redirectError = useAuthRedirectError();
+  useSavedSync(user);
+
+  // A dead magic link lands here with an error; offer a fresh one straight away
+  useEffect(() => {
+    if (!redirectError) return;
+    showMessage(redirectError, true);
+    setShowEmailSignIn(true);
+  }, [redirectError]);
 
-  // Load all places once (for saved places display)
+  // Supabase allows one sign-in email a minute per address
   useEffect(() => {
-    supabase
-      .from('places')
-      .select('*')
-      .order('name')
-      .then(({ data }) => setPlaces(data ?? []));
-  }, []);
+    if (resendIn <= 0) return;
+    const timer = setTimeout(() => setResendIn((s) => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  // ── Return to where login was asked for ───────────────────────────────────
+  // The session cookie is written before the user state changes, so the
+  // protected page's middleware check sees the new session
+  useEffect(() => {
+    if (user && returnTo) router.replace(returnTo);
+  }, [user, returnTo, router]);
 
   function showMessage(text, isError = false) {
     setMessage({ text, isError });
   }
 
+  // Where OAuth and signup confirmation land: back here, carrying returnTo so
+  // the redirect above still fires once the session is picked up
+  function getAuthRedirectUrl() {
+    const siteUrl = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000';
+    return `${siteUrl}${getLoginUrl(returnTo)}`;
+  }
+
   // ── Signup ────────────────────────────────────────────────────────────────
+  function handleSignupInput(e) {
+    const { name, value } = e.target;
+    setSignupData((d) => ({ ...d, [name]: value }));
+    setSignupErrors((errs) => ({ ...errs, [name]: undefined }));
+  }
+
   async function handleSignup(e) {
     e.preventDefault();
+    // Same rules Supabase would apply, checked here so each field gets its own message
+    const { values, errors, valid } = validateFields({
+      name: () => validateName(signupData.name, 1, 50),
+      email: () => validateEmail(signupData.email),
+      password: () => validatePassword(signupData.password),
+    });
+    setSignupErrors(errors);
+    if (!valid) return;
+
     try {
-      const u = await signupUser({
-        name: signupData.name.trim(),
-        email: signupData.email.trim().toLowerCase(),
-        password: signupData.password,
-      });
+      const u = await signupUser({ ...values, redirectTo: getAuthRedirectUrl() });
       showMessage(`Welcome, ${u?.name || 'friend'}!`, false);
       setSignupData({ name: '', email: '', password: '' });
     } catch (err) {
-      showMessage(err.message || 'Unable to sign up.', true);
+      const text = err.message || 'Unable to sign up.';
+      if (/password/i.test(text)) setSignupErrors({ password: text });
+      else if (/email|registered/i.test(text)) setSignupErrors({ email: text });
+      else showMessage(text, true);
     }
   }
 
@@ -64,20 +128,48 @@ export default function AccountPage() {
     }
   }
 
+  // ── Passwordless (magic link or code) ────────────────────────────────────
+  async function handleSendSignInEmail(e) {
+    e?.preventDefault();
+    const email = emailSignIn.email.trim().toLowerCase();
+    try {
+      await sendSignInEmail({ email, redirectTo: getAuthRedirectUrl() });
+      setEmailSignIn((d) => ({ ...d, code: '', sentTo: email }));
+      setEmailSignInStatus({
+        text: `We've emailed ${email} a sign-in link and a 6-digit code. Use either one.`,
+        isError: false,
+      });
+      setResendIn(60);
+    } catch (err) {
+      setEmailSignInStatus({ text: err.message || 'Unable to send the email.', isError: true });
+    }
+  }
+
+  async function handleVerifyCode(e) {
+    e.preventDefault();
+    try {
+      await verifySignInCode({ email: emailSignIn.sentTo, code: emailSignIn.code });
+      setEmailSignIn({ email: '', code: '', sentTo: '' });
+      setEmailSignInStatus({ text: '', isError: false });
+      setShowEmailSignIn(false);
+      showMessage('Logged in successfully.', false);
+    } catch (err) {
+      setEmailSignInStatus({ text: err.message || 'Unable to verify the code.', isError: true });
+    }
+  }
+
   // ── OAuth ─────────────────────────────────────────────────────────────────
   async function handleGoogleSignIn() {
-    const siteUrl = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000';
     await supabase.auth.signInWithOAuth({
       provider: 'google',
-      options: { redirectTo: `${siteUrl}/account` },
+      options: { redirectTo: getAuthRedirectUrl() },
     });
   }
 
   async function handleAppleSignIn() {
-    const siteUrl = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000';
     await supabase.auth.signInWithOAuth({
       provider: 'apple',
-      options: { redirectTo: `${siteUrl}/account` },
+      options: { redirectTo: getAuthRedirectUrl() },
     });
   }
 
@@ -134,6 +226,10 @@ export default function AccountPage() {
       <Topbar />
 
       <main className="account-page">
+        {returnTo && !user && (
+          <p className="account-message">Log in or create an account to continue.</p>
+        )}
+
         {/* Message */}
         {message.text && (
           <div
@@ -151,34 +247,53 @@ export default function AccountPage() {
             <div className="account-card">
               <h2>Create an account</h2>
               <p className="muted">Save your favourite fabric shops so you can come back to them later.</p>
-              <form id="signup-form" autoComplete="off" onSubmit={handleSignup}>
+              <form id="signup-form" autoComplete="off" noValidate onSubmit={handleSignup}>
                 <label className="field-label" htmlFor="signup-name">Name</label>
                 <input
                   id="signup-name"
                   name="name"
                   type="text"
                   required
+                  aria-invalid={Boolean(signupErrors.name)}
+                  aria-describedby={signupErrors.name ? 'signup-name-error' : undefined}
                   value={signupData.name}
-                  onChange={(e) => setSignupData((d) => ({ ...d, name: e.target.value }))}
+                  onChange={handleSignupInput}
                 />
+                {signupErrors.name && (
+                  <p id="signup-name-error" className="field-error">{signupErrors.name}</p>
+                )}
                 <label className="field-label" htmlFor="signup-email">Email</label>
                 <input
                   id="signup-email"
                   name="email"
                   type="email"
                   required
+                  aria-invalid={Boolean(signupErrors.email)}
+                  aria-describedby={signupErrors.email ? 'signup-email-error' : undefined}
                   value={signupData.email}
-                  onChange={(e) => setSignupData((d) => ({ ...d, email: e.target.value }))}
+                  onChange={handleSignupInput}
                 />
+                {signupErrors.email && (
+                  <p id="signup-email-error" className="field-error">{signupErrors.email}</p>
+                )}
                 <label className="field-label" htmlFor="signup-password">Password</label>
                 <input
                   id="signup-password"
                   name="password"
                   type="password"
                   required
+                  autoComplete="new-password"
+                  aria-invalid={Boolean(signupErrors.password)}
+                  aria-describedby={
+                    signupErrors.password ? 'signup-password-error signup-password-meter' : 'signup-password-meter'
+                  }
                   value={signupData.password}
-                  onChange={(e) => setSignupData((d) => ({ ...d, password: e.target.value }))}
+                  onChange={handleSignupInput}
                 />
+                {signupErrors.password && (
+                  <p id="signup-password-error" className="field-error">{signupErrors.password}</p>
+                )}
+                <PasswordStrengthMeter id="signup-password-meter" password={signupData.password} />
                 <button className="primary-btn" type="submit">Sign up</button>
               </form>
             </div>
@@ -229,6 +344,75 @@ export default function AccountPage() {
                 Continue with Apple
               </button>
 
+              <button
+                type="button"
+                className="oauth-btn oauth-btn-email"
+                aria-expanded={showEmailSignIn}
+                onClick={() => setShowEmailSignIn((v) => !v)}
+              >
+                Email me a sign-in link or code
+              </button>
+
+              {showEmailSignIn && (
+                <div className="email-sign-in">
+                  {!emailSignIn.sentTo ? (
+                    <form onSubmit={handleSendSignInEmail}>
+                      <label className="field-label" htmlFor="email-sign-in-email">Email address</label>
+                      <input
+                        id="email-sign-in-email"
+                        type="email"
+                        required
+                        autoComplete="email"
+                        value={emailSignIn.email}
+                        onChange={(e) => setEmailSignIn((d) => ({ ...d, email: e.target.value }))}
+                      />
+                      <button className="secondary-btn" type="submit">Send link and code</button>
+                    </form>
+                  ) : (
+                    <form onSubmit={handleVerifyCode}>
+                      <label className="field-label" htmlFor="email-sign-in-code">6-digit code</label>
+                      <input
+                        id="email-sign-in-code"
+                        type="text"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        pattern="[0-9 ]*"
+                        maxLength={7}
+                        required
+                        value={emailSignIn.code}
+                        onChange={(e) => setEmailSignIn((d) => ({ ...d, code: e.target.value }))}
+                      />
+                      <button className="secondary-btn" type="submit">Log in</button>
+                      <div className="email-sign-in-links">
+                        <button
+                          type="button"
+                          className="forgot-password-toggle"
+                          disabled={resendIn > 0}
+                          onClick={() => handleSendSignInEmail()}
+                        >
+                          {resendIn > 0 ? `Resend in ${resendIn}s` : 'Resend email'}
+                        </button>
+                        <button
+                          type="button"
+                          className="forgot-password-toggle"
+                          onClick={() => {
+                            setEmailSignIn((d) => ({ ...d, code: '', sentTo: '' }));
+                            setEmailSignInStatus({ text: '', isError: false });
+                          }}
+                        >
+                          Use a different email
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                  {emailSignInStatus.text && (
+                    <p className={emailSignInStatus.isError ? 'account-message error' : 'account-message'}>
+                      {emailSignInStatus.text}
+                    </p>
+                  )}
+                </div>
+              )}
+
               <button
                 type="button"
                 className="forgot-password-toggle"
@@ -286,6 +470,8 @@ export default function AccountPage() {
             </div>
           </section>
         )}
+
+        {user && <AccountSettings key={user.id} user={user} />}
       </main>
     </div>
   );
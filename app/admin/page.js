@@ -1,109 +1,36 @@
 'use client';
 
-import { useEffect, useState } from 'react';
+import { useState } from 'react';
 import Topbar from '@/components/Topbar';
-import { supabase } from '@/lib/supabase';
-import { getVerifiedUser } from '@/lib/storage';
-
-const STATUSES = ['pending', 'approved', 'rejected'];
+import SubmissionsPanel from '@/components/admin/SubmissionsPanel';
+import PlacesPanel from '@/components/admin/PlacesPanel';
+import ActivityPanel from '@/components/admin/ActivityPanel';
+import RolesPanel from '@/components/admin/RolesPanel';
+import { useAuth } from '@/hooks/useAuth';
+import { hasCapability } from '@/lib/roles';
+import { getLoginUrl } from '@/lib/session';
+
+const SECTIONS = [
+  { id: 'submissions', label: 'Submissions', capability: 'review_submissions' },
+  { id: 'places', label: 'Places', capability: 'manage_places' },
+  { id: 'activity', label: 'Activity', capability: 'view_activity' },
+  { id: 'roles', label: 'Roles', capability: 'manage_roles' },
+];
 
 export default function AdminPage() {
-  const [authState, setAuthState] = useState('loading'); // 'loading' | 'gate' | 'panel'
-  const [gateMessage, setGateMessage] = useState('Checking access…');
-  const [showLoginLink, setShowLoginLink] = useState(false);
-  const [currentStatus, setCurrentStatus] = useState('pending');
-  const [submissions, setSubmissions] = useState([]);
-  const [loadingSubmissions, setLoadingSubmissions] = useState(false);
+  const user = useAuth(); // undefined=loading, null=signed out
   const [message, setMessage] = useState({ text: '', isError: false });
+  const [section, setSection] = useState(null);
 
-  // ── Auth + admin check ────────────────────────────────────────────────────
-  useEffect(() => {
-    async function checkAdmin() {
-      const user = await getVerifiedUser();
-      if (!user) {
-        setGateMessage('You need to sign in first.');
-        setShowLoginLink(true);
-        setAuthState('gate');
-        return;
-      }
-
-      const { data: profile, error } = await supabase
-        .from('user_profiles')
-        .select('role')
-        .eq('id', user.id)
-        .maybeSingle();
-
-      if (error) {
-        console.error('[admin] profile check error:', error);
-        setGateMessage('Unable to verify admin access.');
-        setAuthState('gate');
-        return;
-      }
-
-      if (!profile || profile.role !== 'admin') {
-        setGateMessage('You do not have admin access.');
-        setAuthState('gate');
-        return;
-      }
-
-      setAuthState('panel');
-    }
-    checkAdmin();
-  }, []);
-
-  // ── Load submissions when panel is shown or tab changes ───────────────────
-  useEffect(() => {
-    if (authState !== 'panel') return;
-    loadSubmissions(currentStatus);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [authState, currentStatus]);
-
-  async function loadSubmissions(status) {
-    setLoadingSubmissions(true);
-    setSubmissions([]);
-
-    const { data, error } = await supabase
-      .from('place_submissions')
-      .select('*')
-      .eq('status', status)
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      showMessage('Failed to load submissions: ' + error.message, true);
-    } else {
-      setSubmissions(data ?? []);
-    }
-    setLoadingSubmissions(false);
-  }
-
-  // ── Approve ───────────────────────────────────────────────────────────────
-  async function handleApprove(sub) {
-    try {
-      const { error } = await supabase.rpc('promote_submission', {
-        submission_id: sub.id,
-      });
-      if (error) throw error;
-      showMessage(`"${sub.name}" approved and published.`, false);
-      setSubmissions((prev) => prev.filter((s) => s.id !== sub.id));
-    } catch (err) {
-      showMessage('Approve failed: ' + (err.message || 'Unknown error'), true);
-    }
-  }
+  // Middleware already keeps signed-out users and contributors away; this
+  // covers client-side navigation and picks the tabs this role can use
+  const sections = user?.role ? SECTIONS.filter((s) => hasCapability(user.role, s.capability)) : [];
+  const activeSection = sections.some((s) => s.id === section) ? section : sections[0]?.id;
 
-  // ── Reject ────────────────────────────────────────────────────────────────
-  async function handleReject(sub) {
-    if (!window.confirm(`Reject "${sub.name}"? This won't delete it.`)) return;
-    try {
-      const { error } = await supabase.rpc('reject_submission', {
-        submission_id: sub.id,
-      });
-      if (error) throw error;
-      showMessage(`"${sub.name}" rejected.`, false);
-      setSubmissions((prev) => prev.filter((s) => s.id !== sub.id));
-    } catch (err) {
-      showMessage('Reject failed: ' + (err.message || 'Unknown error'), true);
-    }
-  }
+  let gateMessage = null;
+  if (user === undefined || (user && user.role === undefined)) gateMessage = 'Checking access…';
+  else if (!user) gateMessage = 'You need to sign in first.';
+  else if (!hasCapability(user.role, 'access_admin')) gateMessage = 'You do not have admin access.';
 
   function showMessage(text, isError) {
     setMessage({ text, isError });
@@ -117,12 +44,12 @@ export default function AdminPage() {
 
       <main className="admin-container">
         {/* Gate */}
-        {(authState === 'loading' || authState === 'gate') && (
+        {gateMessage && (
           <div id="admin-gate" className="admin-gate">
             <p className="muted">{gateMessage}</p>
-            {showLoginLink && (
+            {user === null && (
               <a
-                href="/account"
+                href={getLoginUrl('/admin')}
                 style={{ display: 'inline-block', marginTop: '1rem', color: '#111', textDecoration: 'underline' }}
               >
                 Go to login
@@ -132,9 +59,20 @@ export default function AdminPage() {
         )}
 
         {/* Panel */}
-        {authState === 'panel' && (
+        {!gateMessage && (
           <div id="admin-panel">
-            <h2>Submissions</h2>
+            <nav className="admin-sections" aria-label="Admin sections">
+              {sections.map((s) => (
+                <button
+                  key={s.id}
+                  className={`admin-section-tab${activeSection === s.id ? ' active' : ''}`}
+                  aria-current={activeSection === s.id ? 'page' : undefined}
+                  onClick={() => setSection(s.id)}
+                >
+                  {s.label}
+                </button>
+              ))}
+            </nav>
 
             {/* Message */}
             {message.text && (
@@ -146,158 +84,24 @@ export default function AdminPage() {
               </div>
             )}
 
-            {/* Tabs */}
-            <div className="admin-tabs">
-              {STATUSES.map((s) => (
-                <button
-                  key={s}
-                  className={`admin-tab${currentStatus === s ? ' active' : ''}`}
-                  data-status={s}
-                  onClick={() => setCurrentStatus(s)}
-                >
-                  {s.charAt(0).toUpperCase() + s.slice(1)}
-                </button>
-              ))}
-            </div>
-
-            {/* Count */}
-            <div id="admin-count" className="admin-count">
-              {loadingSubmissions
-                ? 'Loading…'
-                : submissions.length === 0
-                ? `No ${currentStatus} submissions.`
-                : `${submissions.length} ${currentStatus} submission${submissions.length !== 1 ? 's' : ''}.`}
-            </div>
-
-            {/* Cards */}
-            <div id="submissions-list">
-              {!loadingSubmissions && submissions.length === 0 && (
-                <div className="empty-state">
-                  {currentStatus === 'pending'
-                    ? 'No submissions waiting for review.'
-                    : `No ${currentStatus} submissions yet.`}
-                </div>
-              )}
-              {submissions.map((sub) => (
-                <SubmissionCard
-                  key={sub.id}
-                  sub={sub}
-                  status={currentStatus}
-                  onApprove={handleApprove}
-                  onReject={handleReject}
-                />
-              ))}
-            </div>
+            {activeSection === 'submissions' && <SubmissionsPanel showMessage={showMessage} />}
+            {activeSection === 'places' && <PlacesPanel showMessage={showMessage} />}
+            {activeSection === 'activity' && <ActivityPanel showMessage={showMessage} />}
+            {activeSection === 'roles' && <RolesPanel currentUserId={user.id} showMessage={showMessage} />}
           </div>
         )}
       </main>
 
       <style jsx>{`
         .admin-container { max-width: 800px; margin: 2rem auto; padding: 1rem 2rem; }
+        .admin-sections { display: flex; gap: 1.5rem; border-bottom: 1px solid #eee; margin-bottom: 1.5rem; }
+        .admin-section-tab { background: none; border: none; border-bottom: 2px solid transparent; padding: 0.5rem 0; margin-bottom: -1px; font-size: 1.25rem; font-weight: 600; color: #999; cursor: pointer; font-family: inherit; }
+        .admin-section-tab.active { color: #111; border-bottom-color: #111; }
         .admin-gate { text-align: center; padding: 4rem 1rem; }
         .admin-gate p { margin-top: 1rem; color: #666; }
-        .admin-tabs { display: flex; gap: 0.5rem; margin-bottom: 1.5rem; }
-        .admin-tab { border: 1px solid #ddd; background: #fff; color: #111; padding: 8px 16px; border-radius: 12px; font-size: 14px; cursor: pointer; }
-        .admin-tab.active { background: #111; color: #fff; border-color: #111; }
-        .admin-count { font-size: 0.85rem; color: #666; margin-bottom: 1rem; }
         .admin-message { padding: 0.75rem 1rem; border-radius: 8px; margin-bottom: 1rem; font-size: 0.9rem; }
         .admin-message.success { background: #d4edda; color: #155724; }
         .admin-message.error { background: #f8d7da; color: #721c24; }
-        .empty-state { text-align: center; padding: 3rem 1rem; color: #999; }
-      `}</style>
-    </div>
-  );
-}
-
-function SubmissionCard({ sub, status, onApprove, onReject }) {
-  const [approving, setApproving] = useState(false);
-  const [rejecting, setRejecting] = useState(false);
-
-  async function handleApprove() {
-    setApproving(true);
-    await onApprove(sub);
-    setApproving(false);
-  }
-
-  async function handleReject() {
-    setRejecting(true);
-    await onReject(sub);
-    setRejecting(false);
-  }
-
-  const date = sub.created_at ? new Date(sub.created_at).toLocaleDateString() : '';
-  const fields = [
-    ['Address', sub.address],
-    ['Website', sub.website],
-    ['Description', sub.pop_up],
-    ['More info', sub.more_info],
-  ];
-
-  return (
-    <div className="submission-card" data-id={sub.id}>
-      <h3>{sub.name ?? 'Untitled'}</h3>
-      <div className="submission-meta">
-        <span className={`status-badge status-${sub.status ?? 'pending'}`}>
-          {sub.status ?? 'pending'}
-        </span>{' '}
-        {[sub.category, sub.submitter_email, date].filter(Boolean).join(' · ')}
-      </div>
-
-      {fields.map(([label, value]) =>
-        value ? (
-          <div key={label} className="submission-field">
-            <strong>{label}</strong>
-            <span> {value}</span>
-          </div>
-        ) : null
-      )}
-
-      {Array.isArray(sub.tags) && sub.tags.length > 0 && (
-        <div className="submission-field">
-          <strong>Tags</strong>
-          <div className="submission-tags">
-            {sub.tags.map((tag) => (
-              <span key={tag} className="submission-tag">{tag}</span>
-            ))}
-          </div>
-        </div>
-      )}
-
-      {status === 'pending' && (
-        <div className="submission-actions">
-          <button
-            className="approve-btn"
-            disabled={approving || rejecting}
-            onClick={handleApprove}
-          >
-            {approving ? 'Approving…' : 'Approve'}
-          </button>
-          <button
-            className="reject-btn"
-            disabled={approving || rejecting}
-            onClick={handleReject}
-          >
-            {rejecting ? 'Rejecting…' : 'Reject'}
-          </button>
-        </div>
-      )}
-
-      <style jsx>{`
-        .submission-card { background: #fff; border: 1px solid #eee; border-radius: 12px; padding: 1.25rem; margin-bottom: 1rem; }
-        .submission-card h3 { margin: 0 0 0.25rem 0; font-size: 1.1rem; }
-        .submission-meta { font-size: 0.85rem; color: #666; margin-bottom: 0.75rem; }
-        .submission-field { margin-bottom: 0.5rem; font-size: 0.9rem; line-height: 1.4; }
-        .submission-field strong { display: inline-block; min-width: 90px; color: #444; }
-        .submission-tags { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 0.25rem; }
-        .submission-tag { background: #f0f0f0; border-radius: 20px; padding: 2px 10px; font-size: 0.8rem; color: #444; }
-        .submission-actions { display: flex; gap: 0.75rem; margin-top: 1rem; padding-top: 1rem; border-top: 1px solid #f0f0f0; }
-        .status-badge { display: inline-block; padding: 2px 10px; border-radius: 20px; font-size: 0.75rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; }
-        .status-pending { background: #fff3cd; color: #856404; }
-        .status-approved { background: #d4edda; color: #155724; }
-        .status-rejected { background: #f8d7da; color: #721c24; }
-        .approve-btn { border: 1px solid #111; background: #111; color: #fff; padding: 8px 20px; border-radius: 12px; font-size: 14px; cursor: pointer; }
-        .reject-btn { border: 1px solid #ddd; background: #fff; color: #111; padding: 8px 20px; border-radius: 12px; font-size: 14px; cursor: pointer; }
-        .approve-btn:disabled, .reject-btn:disabled { opacity: 0.5; cursor: not-allowed; }
       `}</style>
     </div>
   );
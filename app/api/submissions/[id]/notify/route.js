@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { sendMail } from '@/lib/mailer';
+import { buildReviewEmail } from '@/lib/moderation';
+import { hasCapability } from '@/lib/roles';
+
+// Emails the submitter once a moderator has approved or rejected their place.
+// Called by the admin page with the moderator's own access token, so the reads
+// below go through the same RLS as the admin panel. Each submission is emailed
+// at most once (place_submissions.notified_at).
+export async function POST(request, { params }) {
+  const token = request.headers.get('authorization')?.replace(/^Bearer\s+/i, '');
+  if (!token) {
+    return NextResponse.json({ error: 'Not signed in' }, { status: 401 });
+  }
+
+  const supabase = createClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL,
+    process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+    {
+      global: { headers: { Authorization: `Bearer ${token}` } },
+      auth: { persistSession: false, autoRefreshToken: false },
+    }
+  );
+
+  const { data: { user } = {}, error: userError } = await supabase.auth.getUser(token);
+  if (userError || !user) {
+    return NextResponse.json({ error: 'Not signed in' }, { status: 401 });
+  }
+
+  const { data: role } = await supabase.rpc('current_user_role');
+  if (!hasCapability(role, 'review_submissions')) {
+    return NextResponse.json({ error: 'Moderator access required' }, { status: 403 });
+  }
+
+  const { data: sub, error } = await supabase
+    .from('place_submissions')
+    .select('*')
+    .eq('id', params.id)
+    .maybeSingle();
+  if (error || !sub) {
+    return NextResponse.json({ error: 'Submission not found' }, { status: 404 });
+  }
+  // Only an approval or rejection has an email; pending and withdrawn don't
+  if (sub.status === 'pending') {
+    return NextResponse.json({ error: 'Submission has not been reviewed yet' }, { status: 409 });
+  }
+  if (sub.status !== 'approved' && sub.status !== 'rejected') {
+    return NextResponse.json(
+      { error: `Submission is ${sub.status}; only reviewed submissions are emailed` },
+      { status: 409 }
+    );
+  }
+
+  // The approval link points at the place promote_submission recorded
+  const message = buildReviewEmail(sub);
+  if (!message) {
+    return NextResponse.json({ sent: false, reason: 'No submitter email' });
+  }
+
+  const { data: claimed, error: claimError } = await supabase.rpc('claim_review_notification', {
+    submission_id: sub.id,
+  });
+  if (claimError) {
+    return NextResponse.json({ error: claimError.message || 'Unable to send' }, { status: 500 });
+  }
+  if (!claimed) {
+    return NextResponse.json({ error: 'Submitter has already been notified' }, { status: 409 });
+  }
+
+  try {
+    await sendMail(message);
+  } catch (err) {
+    console.error('[notify] send failed:', err);
+    await supabase.rpc('release_review_notification', { submission_id: sub.id });
+    return NextResponse.json({ error: err.message || 'Email failed' }, { status: 502 });
+  }
+  return NextResponse.json({ sent: true });
+}
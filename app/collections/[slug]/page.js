@@ -0,0 +1,159 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import Topbar from '@/components/Topbar';
+import OpenStatus from '@/components/OpenStatus';
+import { useNow } from '@/hooks/useNow';
+import { publishedPlacesQuery } from '@/lib/places';
+import { getSharedCollection } from '@/lib/storage';
+import { addPlacesLayers, zoomIntoCluster, showPointerOverPlaces } from '@/lib/map';
+
+// Read-only view of a collection someone shared. Works without logging in;
+// a revoked or regenerated link simply stops resolving.
+export default function SharedCollectionPage() {
+  const { slug } = useParams();
+  const router = useRouter();
+  const mapContainerRef = useRef(null);
+  const [collection, setCollection] = useState(null);
+  const [places, setPlaces] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const now = useNow();
+
+  // ── Load collection ───────────────────────────────────────────────────────
+  useEffect(() => {
+    if (!slug) return;
+    async function load() {
+      try {
+        const shared = await getSharedCollection(slug);
+        setCollection(shared);
+        if (shared?.placeIds.length) {
+          const { data, error: placesError } = await publishedPlacesQuery().in(
+            'id',
+            shared.placeIds
+          );
+          if (placesError) throw placesError;
+          // Keep the order the owner added them in
+          const byId = new Map((data ?? []).map((p) => [String(p.id), p]));
+          setPlaces(shared.placeIds.map((id) => byId.get(id)).filter(Boolean));
+        }
+      } catch (err) {
+        setError(err.message || 'Unable to load this collection.');
+      }
+      setLoading(false);
+    }
+    load();
+  }, [slug]);
+
+  // ── Mapbox ────────────────────────────────────────────────────────────────
+  const mappable = places.filter((p) => typeof p.lng === 'number' && typeof p.lat === 'number');
+  const hasMap = mappable.length > 0;
+
+  useEffect(() => {
+    if (!hasMap) return;
+    let map;
+    import('mapbox-gl').then((mod) => {
+      const mapboxgl = mod.default || mod;
+      mapboxgl.accessToken = process.env.NEXT_PUBLIC_MAPBOX_TOKEN;
+      if (!mapContainerRef.current) return;
+      map = new mapboxgl.Map({
+        container: mapContainerRef.current,
+        style: 'mapbox://styles/mapbox/light-v11',
+        center: [mappable[0].lng, mappable[0].lat],
+        zoom: 12,
+      });
+      map.addControl(new mapboxgl.NavigationControl(), 'bottom-right');
+      map.on('load', () => {
+        addPlacesLayers(map, mappable);
+        if (mappable.length > 1) {
+          const bounds = new mapboxgl.LngLatBounds();
+          mappable.forEach((p) => bounds.extend([p.lng, p.lat]));
+          map.fitBounds(bounds, { padding: 48, maxZoom: 15, duration: 0 });
+        }
+      });
+
+      map.on('click', 'place-clusters', (e) => {
+        const feature = e.features?.[0];
+        if (feature) zoomIntoCluster(map, feature);
+      });
+
+      map.on('click', 'place-points', (e) => {
+        const id = e.features?.[0]?.properties.id;
+        if (id) router.push(`/place/${encodeURIComponent(id)}`);
+      });
+
+      showPointerOverPlaces(map);
+    });
+
+    return () => map?.remove();
+    // The collection is read-only, so the map is built once per load
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hasMap, places]);
+
+  // ── Render ────────────────────────────────────────────────────────────────
+  if (loading) {
+    return (
+      <div className="page-collection">
+        <Topbar />
+        <main className="shared-collection">
+          <p className="muted">Loading…</p>
+        </main>
+      </div>
+    );
+  }
+
+  if (error || !collection) {
+    return (
+      <div className="page-collection">
+        <Topbar />
+        <main className="shared-collection">
+          <h2>Collection not found</h2>
+          <p className="muted">
+            {error || 'This link may have been turned off or replaced by its owner.'}
+          </p>
+          <a href="/" className="plain-link">Browse the map</a>
+        </main>
+      </div>
+    );
+  }
+
+  return (
+    <div className="page-collection">
+      <Topbar />
+
+      <main className="shared-collection">
+        <header className="shared-collection-header">
+          <h2>{collection.name}</h2>
+          <p className="muted">
+            {places.length} {places.length === 1 ? 'place' : 'places'} · Shared collection
+          </p>
+        </header>
+
+        {hasMap && (
+          <div ref={mapContainerRef} className="shared-collection-map" suppressHydrationWarning />
+        )}
+
+        <div id="list-items">
+          {places.length === 0 && (
+            <p className="muted list-empty">This collection is empty.</p>
+          )}
+          {places.map((place) => (
+            <div
+              key={place.id}
+              className="list-item"
+              onClick={() => router.push(`/place/${encodeURIComponent(place.id)}`)}
+            >
+              <div className="place-name">{place.name ?? ''}</div>
+              <div className="place-category">
+                <span>{place.category ?? ''}</span>
+                <OpenStatus openingHours={place.opening_hours} timeZone={place.timezone} now={now} />
+              </div>
+              {place.address && <div className="muted">{place.address}</div>}
+            </div>
+          ))}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -1,9 +1,14 @@
 import './globals.css';
 import 'mapbox-gl/dist/mapbox-gl.css';
 import { AuthProvider } from '@/hooks/useAuth';
+import { SITE_URL } from '@/lib/seo';
 
 export const metadata = {
-  title: 'Seamline — London Fabric Shops, Suppliers & Tailors',
+  metadataBase: new URL(SITE_URL),
+  title: {
+    default: 'Seamline — London Fabric Shops, Suppliers & Tailors',
+    template: '%s — Seamline',
+  },
   description: 'Find fabric shops, suppliers, tailors and sewing services in London. A community-built directory of the places fashion is actually made.',
 };
 
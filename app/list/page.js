@@ -3,20 +3,11 @@
 import { useEffect, useState, Suspense } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
 import Topbar from '@/components/Topbar';
-import { supabase } from '@/lib/supabase';
-import { getCategoriesFromPlaces, filterPlacesByCategory } from '@/lib/filters';
-import { getOpenStatus } from '@/lib/hours';
-
-function OpenStatus({ openingHours }) {
-  const status = getOpenStatus(openingHours);
-  if (!status) return null;
-  return (
-    <span className={status === 'open' ? 'status-open' : 'status-closed'}>
-      <span className="status-dot" />
-      {status === 'open' ? 'Open' : 'Closed'}
-    </span>
-  );
-}
+import OpenStatus from '@/components/OpenStatus';
+import OpenFilter from '@/components/OpenFilter';
+import { useNow } from '@/hooks/useNow';
+import { usePlaces } from '@/hooks/usePlaces';
+import { getCategoriesFromPlaces, filterPlacesByCategory, filterPlacesByOpening } from '@/lib/filters';
 
 // Helper copied from ui/list.js
 function normalizeLabel(category) {
@@ -57,27 +48,30 @@ function ListPageInner() {
   const [allPlaces, setAllPlaces] = useState([]);
   const [categories, setCategories] = useState([]);
   const [activeCategory, setActiveCategory] = useState(categoryFromUrl);
-  const [displayed, setDisplayed] = useState([]);
+  const [openFilter, setOpenFilter] = useState(null);
+  const now = useNow();
 
+  const { places } = usePlaces();
   useEffect(() => {
-    supabase
-      .from('places')
-      .select('*')
-      .order('name')
-      .then(({ data, error }) => {
-        if (error || !data) return;
-        setAllPlaces(data);
-        const cats = getCategoriesFromPlaces(data, { includeOnline: true });
-        setCategories(orderCategories(cats));
-        setDisplayed(filterPlacesByCategory(data, categoryFromUrl));
-      });
+    setAllPlaces(places);
+    const cats = getCategoriesFromPlaces(places, { includeOnline: true });
+    setCategories(orderCategories(cats));
+  }, [places]);
+
+  useEffect(() => {
+    setActiveCategory(categoryFromUrl);
   }, [categoryFromUrl]);
 
   function handleFilterSelect(cat) {
     setActiveCategory(cat);
-    setDisplayed(filterPlacesByCategory(allPlaces, cat));
   }
 
+  const displayed = filterPlacesByOpening(
+    filterPlacesByCategory(allPlaces, activeCategory),
+    openFilter,
+    now
+  );
+
   return (
     <div className="page-list">
       <Topbar />
@@ -97,12 +91,16 @@ function ListPageInner() {
               </button>
             );
           })}
+          {categories.length > 0 && <OpenFilter value={openFilter} onChange={setOpenFilter} />}
         </div>
       </div>
 
       {/* List */}
       <main id="list">
         <div id="list-items">
+          {openFilter && allPlaces.length > 0 && displayed.length === 0 && (
+            <p className="muted list-empty">Nothing open then. Try another time or category.</p>
+          )}
           {displayed.map((place) => (
             <div
               key={place.id}
@@ -112,7 +110,7 @@ function ListPageInner() {
               <div className="place-name">{place.name ?? ''}</div>
               <div className="place-category">
                 <span>{place.category ?? ''}</span>
-                <OpenStatus openingHours={place.opening_hours} />
+                <OpenStatus openingHours={place.opening_hours} timeZone={place.timezone} now={now} />
               </div>
             </div>
           ))}
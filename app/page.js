@@ -1,25 +1,29 @@
 'use client';
 
 
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import Image from 'next/image';
 import Topbar from '@/components/Topbar';
-import { supabase } from '@/lib/supabase';
-import { isOnlinePlace, getCategoriesFromPlaces, filterPlacesByCategory } from '@/lib/filters';
+import OpenStatus from '@/components/OpenStatus';
+import OpenFilter from '@/components/OpenFilter';
+import { useNow } from '@/hooks/useNow';
+import { usePlaces } from '@/hooks/usePlaces';
+import {
+  isOnlinePlace,
+  getCategoriesFromPlaces,
+  filterPlacesByCategory,
+  filterPlacesByOpening,
+} from '@/lib/filters';
 import { sanitizePhotoArray } from '@/lib/sanitizer';
-import { getOpenStatus } from '@/lib/hours';
-
-function OpenStatus({ openingHours }) {
-  const status = getOpenStatus(openingHours);
-  if (!status) return null;
-  return (
-    <span className={status === 'open' ? 'status-open' : 'status-closed'}>
-      <span className="status-dot" />
-      {status === 'open' ? 'Open' : 'Closed'}
-    </span>
-  );
-}
+import {
+  PLACES_SOURCE,
+  PLACE_LAYERS,
+  placesToGeoJSON,
+  addPlacesLayers,
+  zoomIntoCluster,
+  showPointerOverPlaces,
+} from '@/lib/map';
 
 function sortByProximity(places, targetPlace) {
   if (!targetPlace?.lat || !targetPlace?.lng) return places;
@@ -35,16 +39,32 @@ export default function HomePage() {
   const mapContainerRef = useRef(null);
   const mapRef = useRef(null);
   const mapboxglRef = useRef(null);
-  const markersRef = useRef([]);
+  const visiblePlacesRef = useRef([]);
   const userMarkerRef = useRef(null);
   const userCoordsRef = useRef(null);
+  const locateRequestedRef = useRef(false);
   const sortedPlacesRef = useRef([]);
   const scrollTimer = useRef(null);
   const [isDarkMode, setIsDarkMode] = useState(false);
+  const [mapReady, setMapReady] = useState(false);
   const [allPlaces, setAllPlaces] = useState([]);
   const [categories, setCategories] = useState([]);
   const [activeCategory, setActiveCategory] = useState('all');
+  const [openFilter, setOpenFilter] = useState(null);
   const [activePlace, setActivePlace] = useState(null);
+  const now = useNow();
+
+  // Only "Open now" depends on the clock; don't re-filter every minute otherwise
+  const filterNow = openFilter?.type === 'now' ? now : null;
+  const visiblePlaces = useMemo(
+    () =>
+      filterPlacesByOpening(
+        filterPlacesByCategory(allPlaces, activeCategory),
+        openFilter,
+        filterNow ?? undefined
+      ),
+    [allPlaces, activeCategory, openFilter, filterNow]
+  );
 
   // ── Mapbox init ──────────────────────────────────────────────────────────
   useEffect(() => {
@@ -64,60 +84,78 @@ export default function HomePage() {
         interactive: true,
       });
       map.addControl(new mapboxgl.NavigationControl(), 'bottom-right');
-      map.on('click', () => { setActivePlace(null); });
+      map.on('load', () => {
+        addPlacesLayers(map, visiblePlacesRef.current);
+        setMapReady(true);
+      });
+
+      // Clusters zoom in far enough to break apart
+      map.on('click', 'place-clusters', (e) => {
+        const feature = e.features?.[0];
+        if (feature) zoomIntoCluster(map, feature);
+      });
+
+      // Single places open the card row, same as the old DOM markers did
+      map.on('click', 'place-points', (e) => {
+        const feature = e.features?.[0];
+        if (!feature) return;
+        const place = visiblePlacesRef.current.find(
+          (p) => String(p.id) === feature.properties.id
+        );
+        if (!place) return;
+        map.easeTo({ center: [place.lng, place.lat], duration: 400 });
+        setActivePlace(place);
+      });
+
+      showPointerOverPlaces(map);
+
+      // Tapping empty map closes the card row
+      map.on('click', (e) => {
+        const hits = map.queryRenderedFeatures(e.point, {
+          layers: PLACE_LAYERS,
+        });
+        if (hits.length === 0) setActivePlace(null);
+      });
       mapRef.current = map;
     });
 
     return () => {
       map?.remove();
       mapRef.current = null;
+      setMapReady(false);
     };
   }, []);
 
   // ── Load places ──────────────────────────────────────────────────────────
+  const { places } = usePlaces();
   useEffect(() => {
-    supabase
-      .from('places')
-      .select('*')
-      .order('name')
-      .then(({ data: places, error }) => {
-        if (error || !places) return;
-        const filtered = places.filter((p) => 
-  !isOnlinePlace(p) && 
-  Array.isArray(p.photos) && 
-  p.photos.length > 0
-);
-        setAllPlaces(filtered);
-        setCategories(getCategoriesFromPlaces(filtered));
-      });
-  }, []);
+    const filtered = places.filter(
+      (p) => !isOnlinePlace(p) && Array.isArray(p.photos) && p.photos.length > 0
+    );
+    setAllPlaces(filtered);
+    setCategories(getCategoriesFromPlaces(filtered));
+  }, [places]);
 
-  // ── Draw markers when places change ──────────────────────────────────────
+  // ── Locate the user once the map is ready ─────────────────────────────────
+  // Only the first time: later place refreshes shouldn't pull the map back
   useEffect(() => {
-    if (!mapRef.current || !mapboxglRef.current || allPlaces.length === 0) return;
-    updateMarkers(allPlaces, mapboxglRef.current);
+    if (!mapReady || !mapboxglRef.current || locateRequestedRef.current) return;
+    locateRequestedRef.current = true;
     requestUserLocation(mapboxglRef.current);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [allPlaces]);
-
-  function updateMarkers(places, mapboxgl) {
-    markersRef.current.forEach((m) => m.remove());
-    markersRef.current = [];
-
-    places.forEach((place) => {
-      if (typeof place.lng !== 'number' || typeof place.lat !== 'number') return;
-      const el = document.createElement('div');
-      el.className = 'custom-marker';
-      el.addEventListener('click', (e) => {
-        e.stopPropagation();
-        mapRef.current?.easeTo({ center: [place.lng, place.lat], duration: 400 });
-        setActivePlace(place);
-      });
-      const marker = new mapboxgl.Marker(el)
-        .setLngLat([place.lng, place.lat])
-        .addTo(mapRef.current);
-      markersRef.current.push(marker);
-    });
+  }, [mapReady]);
+
+  // ── Draw places when they or the filters change ──────────────────────────
+  useEffect(() => {
+    if (!mapReady) return;
+    updatePlacesSource(visiblePlaces);
+  }, [visiblePlaces, mapReady]);
+
+  function updatePlacesSource(places) {
+    visiblePlacesRef.current = places;
+    const source = mapRef.current?.getSource(PLACES_SOURCE);
+    if (!source) return;
+    source.setData(placesToGeoJSON(places));
   }
 
   function requestUserLocation(mapboxgl) {
@@ -151,6 +189,9 @@ export default function HomePage() {
       mapRef.current.setStyle(
         next ? 'mapbox://styles/mapbox/dark-v11' : 'mapbox://styles/mapbox/light-v11'
       );
+      mapRef.current.once('style.load', () => {
+        addPlacesLayers(mapRef.current, visiblePlacesRef.current);
+      });
       if (userCoordsRef.current) {
         mapRef.current.once('style.load', () => {
           userMarkerRef.current?.remove();
@@ -167,11 +208,8 @@ export default function HomePage() {
   // ── Category filter ───────────────────────────────────────────────────────
   function handleFilterSelect(category) {
     setActiveCategory(category);
-    const filtered = filterPlacesByCategory(allPlaces, category);
-    if (!mapboxglRef.current) return;
-    updateMarkers(filtered, mapboxglRef.current);
   }
-  
+
 
   // ── Keyboard navigation for card carousel ────────────────────────────────
   useEffect(() => {
@@ -215,7 +253,7 @@ export default function HomePage() {
     const cardRow = document.querySelector('.card-row');
     if (!cardRow) return;
 
-    const sorted = sortByProximity(allPlaces, activePlace);
+    const sorted = sortByProximity(visiblePlaces, activePlace);
 
     function handleScroll() {
       clearTimeout(scrollTimer.current);
@@ -235,10 +273,10 @@ export default function HomePage() {
 
     cardRow.addEventListener('scroll', handleScroll, { passive: true });
     return () => cardRow.removeEventListener('scroll', handleScroll);
-  }, [activePlace, allPlaces]);
+  }, [activePlace, visiblePlaces]);
 
   // ── Card row ──────────────────────────────────────────────────────────────
-  const sortedPlaces = activePlace ? sortByProximity(allPlaces, activePlace) : [];
+  const sortedPlaces = activePlace ? sortByProximity(visiblePlaces, activePlace) : [];
   sortedPlacesRef.current = sortedPlaces;
 
   return (
@@ -274,6 +312,7 @@ export default function HomePage() {
               </button>
             );
           })}
+          {categories.length > 0 && <OpenFilter value={openFilter} onChange={setOpenFilter} />}
         </div>
       </div>
 
@@ -306,7 +345,7 @@ export default function HomePage() {
                     <div className="place-card-name">{place.name ?? ''}</div>
                     <div className="place-card-meta">
                       <span>{place.category ?? ''}</span>
-                      <OpenStatus openingHours={place.opening_hours} />
+                      <OpenStatus openingHours={place.opening_hours} timeZone={place.timezone} now={now} />
                     </div>
                   </div>
                 </>
@@ -314,7 +353,7 @@ export default function HomePage() {
                 <div className="place-card-no-photo">
                   <div className="place-card-name">{place.name ?? ''}</div>
                   <div className="place-card-category">{place.category ?? ''}</div>
-                  <OpenStatus openingHours={place.opening_hours} />
+                  <OpenStatus openingHours={place.opening_hours} timeZone={place.timezone} now={now} />
                 </div>
               )}
             </div>
@@ -4,6 +4,8 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { supabase } from '@/lib/supabase';
 import Topbar from '@/components/Topbar';
+import PasswordStrengthMeter from '@/components/PasswordStrengthMeter';
+import { validateFields, validatePassword } from '@/lib/validator';
 
 export default function ResetPasswordPage() {
   const router = useRouter();
@@ -12,6 +14,7 @@ export default function ResetPasswordPage() {
   const [newPassword, setNewPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [status, setStatus] = useState({ text: '', isError: false });
+  const [fieldErrors, setFieldErrors] = useState({});
   const [success, setSuccess] = useState(false);
 
   useEffect(() => {
@@ -23,13 +26,21 @@ export default function ResetPasswordPage() {
 
   async function handleSubmit(e) {
     e.preventDefault();
-    if (newPassword !== confirmPassword) {
-      setStatus({ text: 'Passwords do not match.', isError: true });
-      return;
-    }
-    const { error } = await supabase.auth.updateUser({ password: newPassword });
+    setStatus({ text: '', isError: false });
+    const { values, errors, valid } = validateFields({
+      newPassword: () => validatePassword(newPassword),
+      confirmPassword: () => {
+        if (confirmPassword !== newPassword) throw new Error('Passwords do not match.');
+        return confirmPassword;
+      },
+    });
+    setFieldErrors(errors);
+    if (!valid) return;
+
+    const { error } = await supabase.auth.updateUser({ password: values.newPassword });
     if (error) {
-      setStatus({ text: error.message, isError: true });
+      if (/password/i.test(error.message)) setFieldErrors({ newPassword: error.message });
+      else setStatus({ text: error.message, isError: true });
     } else {
       setSuccess(true);
     }
@@ -55,23 +66,44 @@ export default function ResetPasswordPage() {
               </button>
             </>
           ) : (
-            <form onSubmit={handleSubmit} autoComplete="off">
+            <form onSubmit={handleSubmit} autoComplete="off" noValidate>
               <label className="field-label" htmlFor="new-password">New password</label>
               <input
                 id="new-password"
                 type="password"
                 required
+                autoComplete="new-password"
+                aria-invalid={Boolean(fieldErrors.newPassword)}
+                aria-describedby={
+                  fieldErrors.newPassword ? 'new-password-error new-password-meter' : 'new-password-meter'
+                }
                 value={newPassword}
-                onChange={(e) => setNewPassword(e.target.value)}
+                onChange={(e) => {
+                  setNewPassword(e.target.value);
+                  setFieldErrors((errs) => ({ ...errs, newPassword: undefined }));
+                }}
               />
+              {fieldErrors.newPassword && (
+                <p id="new-password-error" className="field-error">{fieldErrors.newPassword}</p>
+              )}
+              <PasswordStrengthMeter id="new-password-meter" password={newPassword} />
               <label className="field-label" htmlFor="confirm-password">Confirm new password</label>
               <input
                 id="confirm-password"
                 type="password"
                 required
+                autoComplete="new-password"
+                aria-invalid={Boolean(fieldErrors.confirmPassword)}
+                aria-describedby={fieldErrors.confirmPassword ? 'confirm-password-error' : undefined}
                 value={confirmPassword}
-                onChange={(e) => setConfirmPassword(e.target.value)}
+                onChange={(e) => {
+                  setConfirmPassword(e.target.value);
+                  setFieldErrors((errs) => ({ ...errs, confirmPassword: undefined }));
+                }}
               />
+              {fieldErrors.confirmPassword && (
+                <p id="confirm-password-error" className="field-error">{fieldErrors.confirmPassword}</p>
+              )}
               <button className="primary-btn" type="submit">Update password</button>
               {status.text && (
                 <p className="account-message error">{status.text}</p>
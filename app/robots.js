@@ -0,0 +1,12 @@
+import { getSiteUrl } from '@/lib/seo';
+
+export default function robots() {
+  return {
+    rules: {
+      userAgent: '*',
+      allow: '/',
+      disallow: ['/admin', '/account', '/reset-password'],
+    },
+    sitemap: getSiteUrl('/sitemap.xml'),
+  };
+}
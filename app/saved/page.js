@@ -1,9 +1,11 @@
 'use client';
 
-import { useEffect, useState } from 'react';
+import { useState } from 'react';
 import { useRouter } from 'next/navigation';
-import { supabase } from '@/lib/supabase';
 import { useAuth } from '@/hooks/useAuth';
+import { usePlaces } from '@/hooks/usePlaces';
+import { useSavedSync } from '@/hooks/useSavedSync';
+import { getLoginUrl } from '@/lib/session';
 import Topbar from '@/components/Topbar';
 import {
   getSavedPlaceIds,
@@ -14,6 +16,10 @@ import {
   addPlaceToCollection,
   removePlaceFromCollection,
   getCollectionPlaceIds,
+  getCollectionShareUrl,
+  publishCollection,
+  regenerateCollectionShare,
+  revokeCollectionShare,
 } from '@/lib/storage';
 
 const BUILT_IN_FILTERS = [
@@ -31,70 +37,112 @@ function matchesCategory(place, keywords) {
 export default function SavedPage() {
   const user = useAuth();
   const router = useRouter();
-  const [places, setPlaces] = useState([]);
+  // Closed places stay resolvable so saves don't silently vanish
+  const { places } = usePlaces({ includeClosed: true });
   const [activeFilter, setActiveFilter] = useState('all');
   const [message, setMessage] = useState({ text: '', isError: false });
   const [newCollectionName, setNewCollectionName] = useState('');
-  // Trigger re-renders when localStorage changes
-  const [tick, setTick] = useState(0);
-
-  function refresh() { setTick((t) => t + 1); }
+  // Re-renders whenever the saved-places cache changes
+  useSavedSync(user);
 
   function showMessage(text, isError = false) {
     setMessage({ text, isError });
   }
 
-  useEffect(() => {
-    supabase
-      .from('places')
-      .select('*')
-      .order('name')
-      .then(({ data }) => setPlaces(data ?? []));
-  }, []);
-
-  function handleCreateCollection(e) {
+  async function handleCreateCollection(e) {
     e.preventDefault();
     if (!user) { showMessage('Log in to create collections.', true); return; }
     try {
-      const col = createCollection(user, newCollectionName);
+      const col = await createCollection(user, newCollectionName);
       showMessage(`Collection "${col.name}" created.`, false);
       setNewCollectionName('');
       setActiveFilter(`collection:${col.id}`);
-      refresh();
     } catch (err) {
       showMessage(err.message || 'Unable to create collection.', true);
     }
   }
 
-  function handleDeleteCollection(col) {
+  async function handleDeleteCollection(col) {
     if (!user) return;
     if (!window.confirm(`Remove the "${col.name}" collection? This does not delete your saved places.`)) return;
-    deleteCollection(user, col.id);
-    if (activeFilter === `collection:${col.id}`) setActiveFilter('all');
-    showMessage(`Deleted "${col.name}".`, false);
-    refresh();
+    try {
+      await deleteCollection(user, col.id);
+      if (activeFilter === `collection:${col.id}`) setActiveFilter('all');
+      showMessage(`Deleted "${col.name}".`, false);
+    } catch (err) {
+      showMessage(err.message || 'Unable to delete collection.', true);
+    }
   }
 
-  function handleRemovePlace(place) {
+  async function handleRemovePlace(place) {
     if (!user) return;
-    removeSavedPlace(user, place.id);
-    showMessage(`Removed ${place.name} from saved.`, false);
-    refresh();
+    try {
+      await removeSavedPlace(user, place.id);
+      showMessage(`Removed ${place.name} from saved.`, false);
+    } catch (err) {
+      showMessage(err.message || 'Unable to remove place.', true);
+    }
   }
 
-  function handleAddToCollection(place, collectionId) {
+  async function handleAddToCollection(place, collectionId) {
     if (!user || !collectionId) return;
-    addPlaceToCollection(user, collectionId, place.id);
-    const col = getCollections(user).find((c) => c.id === collectionId);
-    showMessage(`Added to ${col?.name ?? 'collection'}.`, false);
-    refresh();
+    try {
+      await addPlaceToCollection(user, collectionId, place.id);
+      const col = getCollections(user).find((c) => c.id === collectionId);
+      showMessage(`Added to ${col?.name ?? 'collection'}.`, false);
+    } catch (err) {
+      showMessage(err.message || 'Unable to add to collection.', true);
+    }
   }
 
-  function handleRemoveFromCollection(place, col) {
+  async function handleRemoveFromCollection(place, col) {
     if (!user) return;
-    removePlaceFromCollection(user, col.id, place.id);
-    showMessage(`Removed from ${col.name}.`, false);
-    refresh();
+    try {
+      await removePlaceFromCollection(user, col.id, place.id);
+      showMessage(`Removed from ${col.name}.`, false);
+    } catch (err) {
+      showMessage(err.message || 'Unable to remove from collection.', true);
+    }
+  }
+
+  async function handleShareCollection(col) {
+    if (!user) return;
+    try {
+      await publishCollection(user, col.id);
+      showMessage(`"${col.name}" is now public: anyone with the link can view it, and search engines may list it.`, false);
+    } catch (err) {
+      showMessage(err.message || 'Unable to share collection.', true);
+    }
+  }
+
+  async function handleRegenerateShare(col) {
+    if (!user) return;
+    if (!window.confirm(`Create a new link for "${col.name}"? The current link will stop working.`)) return;
+    try {
+      await regenerateCollectionShare(user, col.id);
+      showMessage('New share link created.', false);
+    } catch (err) {
+      showMessage(err.message || 'Unable to create a new link.', true);
+    }
+  }
+
+  async function handleRevokeShare(col) {
+    if (!user) return;
+    try {
+      await revokeCollectionShare(user, col.id);
+      showMessage(`"${col.name}" is private again.`, false);
+    } catch (err) {
+      showMessage(err.message || 'Unable to stop sharing.', true);
+    }
+  }
+
+  async function handleCopyShareLink(col) {
+    try {
+      await navigator.clipboard.writeText(getCollectionShareUrl(col.shareSlug));
+      showMessage('Link copied.', false);
+    } catch {
+      showMessage('Unable to copy the link. Copy it from the box instead.', true);
+    }
   }
 
   function filterPlaces(list) {
@@ -144,7 +192,7 @@ export default function SavedPage() {
         {!user && (
           <section id="saved-guest" className="account-card">
             <p>
-              <a href="/account">Log in or create an account</a> to save places and build collections.
+              <a href={getLoginUrl('/saved')}>Log in or create an account</a> to save places and build collections.
             </p>
           </section>
         )}
@@ -186,6 +234,32 @@ export default function SavedPage() {
                       >
                         ×
                       </button>
+                      <div className="collection-share">
+                        {col.shareSlug ? (
+                          <>
+                            <input
+                              type="text"
+                              readOnly
+                              aria-label={`Share link for ${col.name}`}
+                              value={getCollectionShareUrl(col.shareSlug)}
+                              onFocus={(e) => e.target.select()}
+                            />
+                            <button type="button" className="secondary-btn" onClick={() => handleCopyShareLink(col)}>
+                              Copy link
+                            </button>
+                            <button type="button" className="plain-link" onClick={() => handleRegenerateShare(col)}>
+                              New link
+                            </button>
+                            <button type="button" className="plain-link" onClick={() => handleRevokeShare(col)}>
+                              Stop sharing
+                            </button>
+                          </>
+                        ) : (
+                          <button type="button" className="plain-link" onClick={() => handleShareCollection(col)}>
+                            Share link
+                          </button>
+                        )}
+                      </div>
                     </div>
                   ))
                 )}
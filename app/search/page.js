@@ -3,19 +3,12 @@
 import { useEffect, useState, useRef, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import Topbar from '@/components/Topbar';
-import { supabase } from '@/lib/supabase';
-import { getOpenStatus } from '@/lib/hours';
-
-function OpenStatus({ openingHours }) {
-  const status = getOpenStatus(openingHours);
-  if (!status) return null;
-  return (
-    <span className={status === 'open' ? 'status-open' : 'status-closed'}>
-      <span className="status-dot" />
-      {status === 'open' ? 'Open' : 'Closed'}
-    </span>
-  );
-}
+import OpenStatus from '@/components/OpenStatus';
+import OpenFilter from '@/components/OpenFilter';
+import { useNow } from '@/hooks/useNow';
+import { usePlaces } from '@/hooks/usePlaces';
+import { publishedPlacesQuery } from '@/lib/places';
+import { filterPlacesByOpening } from '@/lib/filters';
 
 function normalizeTag(tag) {
   if (tag == null) return '';
@@ -42,54 +35,58 @@ function buildTagOptions(places) {
 
 export default function SearchPage() {
   const router = useRouter();
-  const [allPlaces, setAllPlaces] = useState([]);
   const [tagOptions, setTagOptions] = useState([]);
   const [selectedTags, setSelectedTags] = useState(new Set());
   const [query, setQuery] = useState('');
   const [results, setResults] = useState([]);
-  const [summary, setSummary] = useState('');
+  const [searched, setSearched] = useState(false);
+  const [openFilter, setOpenFilter] = useState(null);
+  const now = useNow();
   const debounceRef = useRef(null);
 
-  // Load all places + tag options on mount
+  const { places: allPlaces } = usePlaces();
+
+  // Tag options come from the shared cache; until the visitor searches, every place is a result
   useEffect(() => {
-    supabase
-      .from('places')
-      .select('*')
-      .order('name')
-      .then(({ data, error }) => {
-        if (error || !data) return;
-        setAllPlaces(data);
-        setTagOptions(buildTagOptions(data));
-        setResults(data);
-        setSummary(`${data.length} place${data.length !== 1 ? 's' : ''} match your search.`);
-      });
-  }, []);
+    setTagOptions(buildTagOptions(allPlaces));
+    if (!query.trim() && selectedTags.size === 0) {
+      setResults(allPlaces);
+      setSearched(allPlaces.length > 0);
+    }
+    // Only when the places change; a refresh shouldn't reset an active search
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [allPlaces]);
 
   // Run search whenever query or selectedTags changes
   const runSearch = useCallback(
     async (q, tags) => {
-      let dbQuery = supabase.from('places').select('*');
+      let matches = allPlaces;
       if (q && q.trim()) {
-        dbQuery = dbQuery.textSearch('search_vector', q.trim());
+        // Full-text matching stays in Postgres; the rows come from the cache
+        const { data, error } = await publishedPlacesQuery('id').textSearch('search_vector', q.trim());
+        if (error) { console.error('Search error:', error); return; }
+        const ids = new Set((data ?? []).map((p) => String(p.id)));
+        matches = allPlaces.filter((p) => ids.has(String(p.id)));
       }
-      const { data, error } = await dbQuery.order('name');
-      if (error) { console.error('Search error:', error); return; }
 
       const filtered =
         tags.size > 0
-          ? (data ?? []).filter((p) => p.tags?.some((t) => tags.has(normalizeTag(t))))
-          : (data ?? []);
+          ? matches.filter((p) => p.tags?.some((t) => tags.has(normalizeTag(t))))
+          : matches;
 
       setResults(filtered);
-      setSummary(
-        filtered.length === 0
-          ? 'No places match yet. Try another keyword or tag.'
-          : `${filtered.length} place${filtered.length !== 1 ? 's' : ''} match your search.`
-      );
+      setSearched(true);
     },
-    []
+    [allPlaces]
   );
 
+  const shown = filterPlacesByOpening(results, openFilter, now);
+  const summary = !searched
+    ? ''
+    : shown.length === 0
+    ? 'No places match yet. Try another keyword or tag.'
+    : `${shown.length} place${shown.length !== 1 ? 's' : ''} match your search.`;
+
   function handleQueryChange(e) {
     const val = e.target.value;
     setQuery(val);
@@ -152,7 +149,7 @@ export default function SearchPage() {
             </button>
           </div>
 
-          {tagOptions.length > 0 && (
+          {searched && (
             <div className="tag-filters" id="tag-filters" aria-label="Tag filters">
               {tagOptions.map((opt) => (
                 <button
@@ -164,6 +161,7 @@ export default function SearchPage() {
                   {opt.label}
                 </button>
               ))}
+              <OpenFilter value={openFilter} onChange={setOpenFilter} buttonClassName="tag-filter" />
             </div>
           )}
         </section>
@@ -171,7 +169,7 @@ export default function SearchPage() {
         <section className="account-card">
           <div id="search-summary" className="muted">{summary}</div>
           <div className="search-results" id="search-results">
-            {results.map((place) => {
+            {shown.map((place) => {
               const area = place.address ? place.address.split(',')[1]?.trim() : '';
               const topTags = Array.isArray(place.tags) ? place.tags.slice(0, 6) : [];
               return (
@@ -179,7 +177,7 @@ export default function SearchPage() {
                   <h3>{place.name ?? ''}</h3>
                   <div className="search-result-meta" style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                     <span>{[place.category, area].filter(Boolean).join(' · ')}</span>
-                    <OpenStatus openingHours={place.opening_hours} />
+                    <OpenStatus openingHours={place.opening_hours} timeZone={place.timezone} now={now} />
                   </div>
                   <p className="muted">{place.pop_up ?? ''}</p>
                   {topTags.length > 0 && (
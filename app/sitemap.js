@@ -1,34 +1,123 @@
-export default function sitemap() {
+import { publishedPlacesQuery } from '@/lib/places';
+import { createServerClient } from '@/lib/supabase';
+import { getPlacePath, getSiteUrl } from '@/lib/seo';
+
+// Regenerated at most hourly; new places don't need to be seen sooner
+export const revalidate = 3600;
+
+// The protocol's limit per sitemap file
+const URLS_PER_SITEMAP = 50000;
+// PostgREST caps each response at 1000 rows by default
+const FETCH_PAGE_SIZE = 1000;
+
+// Only pages a signed-out crawler can open; /submit redirects to login
+const STATIC_PAGES = [
+  { path: '/', changeFrequency: 'daily', priority: 1 },
+  { path: '/list', changeFrequency: 'daily', priority: 0.9 },
+  { path: '/about', changeFrequency: 'monthly', priority: 0.8 },
+  { path: '/search', changeFrequency: 'weekly', priority: 0.7 },
+];
+
+// Sitemap 0 is the site's own pages, categories and shared collections;
+// the rest hold places, URLS_PER_SITEMAP at a time. /sitemap.xml is the
+// index that lists them all (app/sitemap.xml/route.js).
+export async function generateSitemaps() {
+  const { count, error } = await publishedPlacesQuery('id', {
+    client: createServerClient(),
+    count: 'exact',
+    head: true,
+  });
+  if (error) console.error('[sitemap] place count error:', error);
+  const placeSitemaps = Math.max(1, Math.ceil((count ?? 0) / URLS_PER_SITEMAP));
+  return Array.from({ length: placeSitemaps + 1 }, (_, id) => ({ id }));
+}
+
+export default async function sitemap({ id }) {
+  const client = createServerClient();
+  const index = Number(id);
+  if (index === 0) return getSitePages(client);
+  return getPlacePages(client, (index - 1) * URLS_PER_SITEMAP);
+}
+
+/**
+ * Every row of a query, FETCH_PAGE_SIZE at a time. Stops at `limit` rows, or
+ * on an error, returning what it has so far.
+ * @param {() => object} buildQuery - Fresh query for each page; it needs a stable order
+ * @param {{ label: string, offset?: number, limit?: number }} options
+ */
+async function fetchAllRows(buildQuery, { label, offset = 0, limit = Infinity }) {
+  const rows = [];
+  for (let from = offset; from < offset + limit; from += FETCH_PAGE_SIZE) {
+    const to = Math.min(from + FETCH_PAGE_SIZE, offset + limit) - 1;
+    const { data, error } = await buildQuery().range(from, to);
+    if (error) {
+      console.error(`[sitemap] ${label} error:`, error);
+      break;
+    }
+    rows.push(...data);
+    if (data.length < to - from + 1) break;
+  }
+  return rows;
+}
+
+function latest(dates) {
+  return dates.reduce((max, date) => (date && (!max || date > max) ? date : max), null) ?? undefined;
+}
+
+// ── Site pages, categories, collections ─────────────────────────────────────
+async function getSitePages(client) {
+  const [places, collections] = await Promise.all([
+    fetchAllRows(
+      () =>
+        publishedPlacesQuery('category, updated_at', { client })
+          .eq('permanently_closed', false)
+          .order('id'),
+      { label: 'categories' }
+    ),
+    fetchAllRows(() => client.rpc('list_shared_collections'), { label: 'collections' }),
+  ]);
+
+  // Pages that list places change whenever one of them does
+  const placesUpdated = latest(places.map((p) => p.updated_at));
+
+  const byCategory = new Map();
+  places.forEach((p) => {
+    if (!p.category) return;
+    byCategory.set(p.category, latest([byCategory.get(p.category), p.updated_at]));
+  });
+
   return [
-    {
-      url: 'https://seamline.app',
-      lastModified: new Date(),
-      changeFrequency: 'daily',
-      priority: 1,
-    },
-    {
-      url: 'https://seamline.app/about',
-      lastModified: new Date(),
-      changeFrequency: 'monthly',
-      priority: 0.8,
-    },
-    {
-      url: 'https://seamline.app/submit',
-      lastModified: new Date(),
-      changeFrequency: 'monthly',
+    ...STATIC_PAGES.map(({ path, changeFrequency, priority }) => ({
+      url: getSiteUrl(path),
+      lastModified: ['/', '/list', '/search'].includes(path) ? placesUpdated : undefined,
+      changeFrequency,
+      priority,
+    })),
+    ...Array.from(byCategory, ([category, updated]) => ({
+      url: getSiteUrl(`/list?category=${encodeURIComponent(category)}`),
+      lastModified: updated,
+      changeFrequency: 'weekly',
       priority: 0.8,
-    },
-    {
-      url: 'https://seamline.app/search',
-      lastModified: new Date(),
+    })),
+    ...collections.map((col) => ({
+      url: getSiteUrl(`/collections/${encodeURIComponent(col.share_slug)}`),
+      lastModified: col.last_modified,
       changeFrequency: 'weekly',
-      priority: 0.7,
-    },
-    {
-      url: 'https://seamline.app/list',
-      lastModified: new Date(),
-      changeFrequency: 'daily',
-      priority: 0.9,
-    },
-  ]
+      priority: 0.5,
+    })),
+  ];
+}
+
+// ── Places ──────────────────────────────────────────────────────────────────
+async function getPlacePages(client, offset) {
+  const places = await fetchAllRows(
+    () => publishedPlacesQuery('id, slug, updated_at, permanently_closed', { client }).order('id'),
+    { label: 'places', offset, limit: URLS_PER_SITEMAP }
+  );
+  return places.map((place) => ({
+    url: getSiteUrl(getPlacePath(place)),
+    lastModified: place.updated_at,
+    changeFrequency: place.permanently_closed ? 'yearly' : 'monthly',
+    priority: place.permanently_closed ? 0.3 : 0.7,
+  }));
 }
@@ -0,0 +1,19 @@
+import { generateSitemaps } from '../sitemap';
+import { getSiteUrl } from '@/lib/seo';
+
+export const revalidate = 3600;
+
+// Sitemap index pointing at each file app/sitemap.js generates; this is the
+// URL robots.txt advertises
+export async function GET() {
+  const sitemaps = await generateSitemaps();
+  const entries = sitemaps
+    .map(({ id }) => `  <sitemap>\n    <loc>${getSiteUrl(`/sitemap/${id}.xml`)}</loc>\n  </sitemap>`)
+    .join('\n');
+
+  return new Response(
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${entries}\n</sitemapindex>\n`,
+    { headers: { 'Content-Type': 'application/xml' } }
+  );
+}
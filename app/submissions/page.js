@@ -0,0 +1,359 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import Topbar from '@/components/Topbar';
+import PinPreview from '@/components/PinPreview';
+import { supabase } from '@/lib/supabase';
+import { useAuth } from '@/hooks/useAuth';
+import {
+  validateName,
+  validateUrl,
+  validateText,
+  validatePhone,
+  validatePriceRange,
+  validateCategory,
+  validateCoordinates,
+  PLACE_CATEGORIES,
+} from '@/lib/validator';
+import { normalizeOpeningHours } from '@/lib/hours';
+import { geocodeAddress } from '@/lib/geocoder';
+import { getRejectionReason } from '@/lib/moderation';
+import { getLoginUrl } from '@/lib/session';
+
+const SUBMISSION_COLUMNS =
+  'id, name, category, address, lat, lng, website, phone, pop_up, opening_hours, average_price, ' +
+  'status, rejection_reason, rejection_note, place_id, created_at, reviewed_at';
+
+const STATUS_LABELS = {
+  pending: 'In review',
+  approved: 'Approved',
+  rejected: 'Not added',
+  withdrawn: 'Withdrawn',
+};
+
+const MIN_DESC = 50;
+
+export default function MySubmissionsPage() {
+  const user = useAuth(); // undefined=loading, null=signed out
+  const [submissions, setSubmissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState({ text: '', isError: false });
+
+  function showMessage(text, isError = false) {
+    setMessage({ text, isError });
+  }
+
+  // ── Load own submissions ──────────────────────────────────────────────────
+  useEffect(() => {
+    if (!user) return;
+    supabase
+      .from('place_submissions')
+      .select(SUBMISSION_COLUMNS)
+      .eq('submitted_by', user.id)
+      .order('created_at', { ascending: false })
+      .then(({ data, error }) => {
+        if (error) showMessage('Unable to load your submissions: ' + error.message, true);
+        setSubmissions(data ?? []);
+        setLoading(false);
+      });
+  }, [user]);
+
+  // ── Edit ──────────────────────────────────────────────────────────────────
+  // Throws so the form can show the error in place
+  async function handleSave(sub, changes) {
+    const { data, error } = await supabase.rpc('update_own_submission', {
+      submission_id: sub.id,
+      changes,
+    });
+    if (error) throw error;
+    setSubmissions((prev) => prev.map((s) => (s.id === sub.id ? { ...s, ...data } : s)));
+    setEditingId(null);
+    showMessage(`Updated "${data?.name ?? sub.name}".`, false);
+  }
+
+  // ── Withdraw ──────────────────────────────────────────────────────────────
+  async function handleWithdraw(sub) {
+    if (!window.confirm(`Withdraw "${sub.name}"? It won't be reviewed.`)) return;
+    try {
+      const { error } = await supabase.rpc('withdraw_submission', { submission_id: sub.id });
+      if (error) throw error;
+      setSubmissions((prev) => prev.map((s) => (s.id === sub.id ? { ...s, status: 'withdrawn' } : s)));
+      if (editingId === sub.id) setEditingId(null);
+      showMessage(`Withdrew "${sub.name}".`, false);
+    } catch (err) {
+      showMessage(err.message || 'Unable to withdraw submission.', true);
+    }
+  }
+
+  // ── Render ────────────────────────────────────────────────────────────────
+  if (user === undefined) {
+    return <div className="loading-state">one sec…</div>;
+  }
+
+  return (
+    <div className="page-submissions">
+      <Topbar />
+
+      <main className="account-page">
+        <section className="account-card">
+          <h2>My submissions</h2>
+          <p className="muted">Places you&apos;ve suggested and where they are in review.</p>
+          {message.text && (
+            <div className={`account-message${message.isError ? ' error' : ''}`} aria-live="polite">
+              {message.text}
+            </div>
+          )}
+        </section>
+
+        {!user && (
+          <section className="account-card">
+            <p>
+              <a href={getLoginUrl('/submissions')}>Log in</a> to see the places you&apos;ve submitted.
+            </p>
+          </section>
+        )}
+
+        {user && !loading && submissions.length === 0 && (
+          <section className="account-card">
+            <p className="muted">You haven&apos;t submitted any places yet.</p>
+            <Link href="/submit" className="plain-link">Submit a place</Link>
+          </section>
+        )}
+
+        {user &&
+          submissions.map((sub) => (
+            <section key={sub.id} className="account-card my-submission">
+              <div className="my-submission-header">
+                <div>
+                  <h3>{sub.name}</h3>
+                  <div className="muted">
+                    {[sub.category, sub.created_at && new Date(sub.created_at).toLocaleDateString()]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </div>
+                </div>
+                <span className={`submission-status submission-status-${sub.status}`}>
+                  {STATUS_LABELS[sub.status] ?? sub.status}
+                </span>
+              </div>
+
+              {sub.status === 'approved' && sub.place_id && (
+                <Link href={`/place/${encodeURIComponent(sub.place_id)}`} className="plain-link">
+                  View it on Seamline
+                </Link>
+              )}
+
+              {sub.status === 'rejected' && (
+                <p className="my-submission-reason">
+                  {getRejectionReason(sub.rejection_reason)?.message || 'This place wasn’t added.'}
+                  {sub.rejection_note && <span> {sub.rejection_note}</span>}
+                </p>
+              )}
+
+              {sub.status === 'pending' &&
+                (editingId === sub.id ? (
+                  <EditSubmissionForm
+                    sub={sub}
+                    onSave={(changes) => handleSave(sub, changes)}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <div className="my-submission-actions">
+                    <button type="button" className="secondary-btn" onClick={() => setEditingId(sub.id)}>
+                      Edit
+                    </button>
+                    <button type="button" className="plain-link" onClick={() => handleWithdraw(sub)}>
+                      Withdraw
+                    </button>
+                  </div>
+                ))}
+            </section>
+          ))}
+      </main>
+    </div>
+  );
+}
+
+function EditSubmissionForm({ sub, onSave, onCancel }) {
+  const [values, setValues] = useState({
+    name: sub.name ?? '',
+    category: sub.category ?? '',
+    address: sub.address ?? '',
+    website: sub.website ?? '',
+    phone: sub.phone ?? '',
+    pop_up: sub.pop_up ?? '',
+    opening_hours: sub.opening_hours ?? '',
+    average_price: sub.average_price ?? '',
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  // { lat, lng, label, address, moved }; address is what the pin was found for
+  const [pin, setPin] = useState(
+    typeof sub.lat === 'number' && typeof sub.lng === 'number'
+      ? { lat: sub.lat, lng: sub.lng, label: '', address: sub.address ?? '', moved: false }
+      : null
+  );
+  const [geocodeStatus, setGeocodeStatus] = useState(''); // '' | 'searching' | 'not-found' | error text
+  const online = values.category === 'Online';
+  const address = values.address.trim();
+
+  // ── Geocoding ─────────────────────────────────────────────────────────────
+  // A new address gets a new pin for the submitter to check, unless they've
+  // already dragged it where they want it
+  useEffect(() => {
+    if (online || address.length < 5 || address === (sub.address ?? '') || pin?.moved) {
+      setGeocodeStatus('');
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setGeocodeStatus('searching');
+      try {
+        const result = await geocodeAddress(address, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        if (result) {
+          setPin({ lat: result.lat, lng: result.lng, label: result.label, address, moved: false });
+          setGeocodeStatus('');
+        } else {
+          setGeocodeStatus('not-found');
+        }
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        setGeocodeStatus(err.message || 'Address lookup failed.');
+      }
+    }, 700);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [address, online, pin?.moved]);
+
+  function handlePinMove(coords) {
+    setPin((prev) => ({ ...prev, ...coords, moved: true }));
+  }
+
+  function handlePlacePinManually() {
+    // Start from central London; the submitter drags it into place
+    setPin({ lat: 51.5072, lng: -0.1276, label: '', address, moved: true });
+    setGeocodeStatus('');
+  }
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    try {
+      if (address.length < 5) throw new Error('Please enter a valid address');
+
+      const pop_up = validateText(values.pop_up, 200, true);
+      if (pop_up.length < MIN_DESC) {
+        throw new Error(`Brief description must be at least ${MIN_DESC} characters`);
+      }
+
+      const changes = {
+        name: validateName(values.name, 2, 200),
+        category: validateCategory(values.category),
+        address,
+        website: validateUrl(values.website, false) || null,
+        phone: validatePhone(values.phone, false)?.replace(/\s+/g, ' ') ?? null,
+        pop_up,
+        opening_hours: normalizeOpeningHours(validateText(values.opening_hours, 1000, false)),
+        average_price: validatePriceRange(values.average_price),
+      };
+
+      // A new address needs a pin the submitter has seen on the map
+      if (!online) {
+        if (!pin || (!pin.moved && pin.address !== address)) {
+          throw new Error('Please check the map pin for this address');
+        }
+        if (pin.lat !== sub.lat || pin.lng !== sub.lng) {
+          Object.assign(changes, validateCoordinates(pin.lat, pin.lng));
+        }
+      }
+
+      await onSave(changes);
+    } catch (err) {
+      setError(err.message || 'Unable to save changes.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="my-submission-form" onSubmit={handleSubmit}>
+      {error && <div className="account-message error">{error}</div>}
+      <label>
+        Place name
+        <input name="name" value={values.name} onChange={handleChange} maxLength={200} required />
+      </label>
+      <label>
+        Category
+        <select name="category" value={values.category} onChange={handleChange} required>
+          <option value="">Select a category…</option>
+          {PLACE_CATEGORIES.map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Address
+        <input name="address" value={values.address} onChange={handleChange} required />
+      </label>
+      {!online && geocodeStatus === 'searching' && <span className="form-hint">Finding address…</span>}
+      {!online && geocodeStatus && geocodeStatus !== 'searching' && (
+        <span className="form-hint">
+          {geocodeStatus === 'not-found' ? "We couldn't find that address." : geocodeStatus}{' '}
+          {!pin && (
+            <button type="button" className="plain-link" onClick={handlePlacePinManually}>
+              Place the pin yourself
+            </button>
+          )}
+        </span>
+      )}
+      {!online && pin && (
+        <div className="pin-preview-wrap">
+          <PinPreview lat={pin.lat} lng={pin.lng} onMove={handlePinMove} />
+          <span className="form-hint">
+            {pin.moved ? 'Pin moved by you.' : pin.label ? `Found: ${pin.label}.` : ''} Drag the pin if it&apos;s not quite right.
+          </span>
+        </div>
+      )}
+      <label>
+        Website
+        <input name="website" type="url" value={values.website} onChange={handleChange} />
+      </label>
+      <label>
+        Phone
+        <input name="phone" type="tel" value={values.phone} onChange={handleChange} />
+      </label>
+      <label>
+        What do you like about this place?
+        <textarea name="pop_up" rows={3} maxLength={200} value={values.pop_up} onChange={handleChange} required />
+      </label>
+      <label>
+        Opening hours
+        <textarea name="opening_hours" rows={5} value={values.opening_hours} onChange={handleChange} />
+      </label>
+      <label>
+        Price range
+        <input name="average_price" maxLength={100} value={values.average_price} onChange={handleChange} />
+      </label>
+      <div className="my-submission-actions">
+        <button type="submit" className="secondary-btn" disabled={saving}>
+          {saving ? 'Saving…' : 'Save changes'}
+        </button>
+        <button type="button" className="plain-link" disabled={saving} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -5,19 +5,24 @@
 import { useEffect, useState, useRef } from 'react';
 import { useRouter } from 'next/navigation';
 import Topbar from '@/components/Topbar';
+import PinPreview from '@/components/PinPreview';
 import { supabase } from '@/lib/supabase';
+import { loadPlaces } from '@/lib/places';
 import { getVerifiedUser } from '@/lib/storage';
-import { validateName, validateUrl, validateText, validatePhone } from '@/lib/validator';
-
-const CATEGORIES = [
-  'Fabric Shop',
-  'Leather',
-  'Services',
-  'Trimming',
-  'Knit/Embroidery',
-  'Markets',
-  'Online',
-];
+import { getLoginUrl } from '@/lib/session';
+import {
+  validateName,
+  validateUrl,
+  validateText,
+  validatePhone,
+  validatePriceRange,
+  validateCoordinates,
+  validateCategory,
+  PLACE_CATEGORIES,
+} from '@/lib/validator';
+import { normalizeOpeningHours } from '@/lib/hours';
+import { findDuplicates } from '@/lib/duplicates';
+import { geocodeAddress } from '@/lib/geocoder';
 
 export default function SubmitPage() {
   const router = useRouter();
@@ -28,6 +33,13 @@ export default function SubmitPage() {
   const [submitted, setSubmitted] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const formRef = useRef(null);
+  const [draft, setDraft] = useState({ name: '', address: '' });
+  const [existing, setExisting] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
+  const [pin, setPin] = useState(null); // { lat, lng, label, moved }
+  const [geocodeStatus, setGeocodeStatus] = useState(''); // '' | 'searching' | 'not-found' | error text
+  const [category, setCategory] = useState('');
+  const online = category === 'Online';
 
   const MAX_DESC = 200;
   const MIN_DESC = 50;
@@ -37,6 +49,78 @@ export default function SubmitPage() {
     getVerifiedUser().then((u) => setUser(u ?? null));
   }, []);
 
+  // ── Duplicate check ───────────────────────────────────────────────────────
+  // Loaded once; matching runs locally as the user types
+  useEffect(() => {
+    if (!user) return;
+    async function loadExisting() {
+      const [places, pendingRes] = await Promise.all([
+        loadPlaces().catch((err) => {
+          console.error('[submit] places lookup error:', err);
+          return [];
+        }),
+        supabase.rpc('get_pending_submission_names'),
+      ]);
+      if (pendingRes.error) console.error('[submit] pending lookup error:', pendingRes.error);
+      setExisting([
+        ...places.map((p) => ({ ...p, pending: false })),
+        ...(pendingRes.data ?? []).map((p) => ({ ...p, pending: true })),
+      ]);
+    }
+    loadExisting();
+  }, [user]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDuplicates(findDuplicates(draft, existing, { limit: 3 })), 300);
+    return () => clearTimeout(timer);
+  }, [draft, existing]);
+
+  // ── Geocoding ─────────────────────────────────────────────────────────────
+  useEffect(() => {
+    const address = draft.address.trim();
+    if (online || address.length < 5) {
+      setGeocodeStatus('');
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setGeocodeStatus('searching');
+      try {
+        const result = await geocodeAddress(address, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        if (result) {
+          // Once the submitter has dragged the pin, it's theirs
+          setPin((prev) => (prev?.moved ? prev : { lat: result.lat, lng: result.lng, label: result.label, moved: false }));
+          setGeocodeStatus('');
+        } else {
+          setGeocodeStatus('not-found');
+        }
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        setGeocodeStatus(err.message || 'Address lookup failed.');
+      }
+    }, 700);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [draft.address, online]);
+
+  function handlePinMove(coords) {
+    setPin((prev) => ({ ...prev, ...coords, moved: true }));
+  }
+
+  function handlePlacePinManually() {
+    // Start from central London; the submitter drags it into place
+    setPin({ lat: 51.5072, lng: -0.1276, label: '', moved: true });
+    setGeocodeStatus('');
+  }
+
+  function handleDraftInput(e) {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  }
+
   // ── Submit handler ────────────────────────────────────────────────────────
   async function handleSubmit(e) {
     e.preventDefault();
@@ -45,7 +129,7 @@ export default function SubmitPage() {
     const currentUser = await getVerifiedUser();
     if (!currentUser) {
       setError('Please sign in to submit a place. Redirecting…');
-      setTimeout(() => router.push('/account'), 2000);
+      setTimeout(() => router.push(getLoginUrl('/submit')), 2000);
       return;
     }
 
@@ -53,33 +137,44 @@ export default function SubmitPage() {
     try {
       const fd = new FormData(formRef.current);
       const name = validateName(fd.get('name'), 2, 200);
-      const category = fd.get('category');
+      const category = validateCategory(fd.get('category'));
       const address = fd.get('address')?.trim();
 
-      if (!category) throw new Error('Please select a category');
       if (!address || address.length < 5) throw new Error('Please enter a valid address');
 
+      // Online shops have no shopfront to pin
+      let lat = null;
+      let lng = null;
+      if (category !== 'Online') {
+        if (!pin) throw new Error('Please check the map pin for this address');
+        ({ lat, lng } = validateCoordinates(pin.lat, pin.lng));
+      }
+
       const websiteInput = fd.get('website')?.trim();
       const website = websiteInput ? validateUrl(websiteInput, false) : null;
 
-      const phoneInput = fd.get('phone')?.trim();
-      if (phoneInput) validatePhone(phoneInput, false);
+      const phone = validatePhone(fd.get('phone'), false)?.replace(/\s+/g, ' ') ?? null;
 
       const pop_up = validateText(fd.get('pop_up'), 200, true);
       if (pop_up.length < MIN_DESC) {
         throw new Error(`Brief description must be at least ${MIN_DESC} characters`);
       }
 
-      validateText(fd.get('opening_hours'), 1000, false);
+      const opening_hours = normalizeOpeningHours(validateText(fd.get('opening_hours'), 1000, false));
       const more_info = validateText(fd.get('more_info'), 2000, false);
-      validateText(fd.get('average_price'), 100, false);
+      const average_price = validatePriceRange(fd.get('average_price'));
 
       const placeData = {
         name,
         category,
         address,
+        lat,
+        lng,
         pop_up,
         website: website || null,
+        phone,
+        opening_hours,
+        average_price,
         more_info: more_info || null,
         tags: null,
         submitted_by: currentUser.id,
@@ -121,7 +216,7 @@ export default function SubmitPage() {
         <Topbar />
         <div className="submit-auth-gate">
           <p className="label-muted">You need an account to submit a place.</p>
-          <button className="plain-link" onClick={() => router.push('/account')}>
+          <button className="plain-link" onClick={() => router.push(getLoginUrl('/submit'))}>
             Log in or sign up
           </button>
         </div>
@@ -140,7 +235,10 @@ export default function SubmitPage() {
             <p className="label-muted" style={{ marginTop: 6 }}>
               We&apos;ll review it and add it to the map soon.
             </p>
-            <a href="/" className="plain-link" style={{ display: 'block', marginTop: '1.5rem' }}>
+            <a href="/submissions" className="plain-link" style={{ display: 'block', marginTop: '1.5rem' }}>
+              Track it in My submissions
+            </a>
+            <a href="/" className="plain-link" style={{ display: 'block', marginTop: '0.75rem' }}>
               Back to map
             </a>
             <button
@@ -150,6 +248,9 @@ export default function SubmitPage() {
                 setSubmitted(false);
                 formRef.current?.reset();
                 setCharCount(0);
+                setDraft({ name: '', address: '' });
+                setPin(null);
+                setCategory('');
               }}
             >
               Submit another place
@@ -187,6 +288,7 @@ export default function SubmitPage() {
               minLength={2}
               maxLength={200}
               placeholder="e.g., Whaleys Bradford"
+              onInput={handleDraftInput}
             />
           </div>
 
@@ -195,9 +297,15 @@ export default function SubmitPage() {
           {/* Category */}
           <div className="form-field">
             <label className="form-label" htmlFor="category">Category *</label>
-            <select id="category" name="category" className="form-input" required>
+            <select
+              id="category"
+              name="category"
+              className="form-input"
+              required
+              onChange={(e) => setCategory(e.target.value)}
+            >
               <option value="">Select a category…</option>
-              {CATEGORIES.map((c) => (
+              {PLACE_CATEGORIES.map((c) => (
                 <option key={c} value={c}>{c}</option>
               ))}
             </select>
@@ -215,8 +323,55 @@ export default function SubmitPage() {
               className="form-input"
               required
               placeholder="e.g., 123 High St, London E1 6AN"
+              onInput={handleDraftInput}
             />
             <span className="form-hint">Used to pin the location on the map</span>
+            {!online && geocodeStatus === 'searching' && <span className="form-hint">Finding address…</span>}
+            {!online && geocodeStatus && geocodeStatus !== 'searching' && (
+              <span className="form-hint">
+                {geocodeStatus === 'not-found' ? "We couldn't find that address." : geocodeStatus}{' '}
+                {!pin && (
+                  <button type="button" className="plain-link" onClick={handlePlacePinManually}>
+                    Place the pin yourself
+                  </button>
+                )}
+              </span>
+            )}
+            {!online && pin && (
+              <div className="pin-preview-wrap">
+                <PinPreview lat={pin.lat} lng={pin.lng} onMove={handlePinMove} />
+                <span className="form-hint">
+                  {pin.moved ? 'Pin moved by you.' : pin.label ? `Found: ${pin.label}.` : ''} Drag the pin if it&apos;s not quite right.
+                </span>
+              </div>
+            )}
+            {duplicates.length > 0 && (
+              <div className="submit-duplicates" aria-live="polite">
+                <p>This place might already be listed:</p>
+                <ul>
+                  {duplicates.map(({ record, reasons }) => (
+                    <li key={`${record.pending ? 'pending' : 'place'}-${record.id}`}>
+                      {record.pending ? (
+                        <strong>{record.name}</strong>
+                      ) : (
+                        <a
+                          href={`/place/${encodeURIComponent(record.id)}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
+                          {record.name}
+                        </a>
+                      )}
+                      {record.address && <span> · {record.address}</span>}
+                      <span className="submit-duplicate-reason">
+                        {record.pending ? 'Awaiting review' : 'On the map'} · {reasons.join(', ')}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                <p className="form-hint">If it&apos;s a different place, carry on.</p>
+              </div>
+            )}
           </div>
 
           <hr className="divider" />
@@ -285,36 +440,35 @@ export default function SubmitPage() {
             {showOptional ? 'Less fields' : 'More fields'}
           </button>
 
-          {showOptional && (
-            <>
-              <hr className="divider" />
-
-              <div className="form-field">
-                <label className="form-label" htmlFor="opening_hours">Opening hours</label>
-                <textarea
-                  id="opening_hours"
-                  name="opening_hours"
-                  className="form-input"
-                  rows={7}
-                  placeholder={`Monday: 9am-5pm\nTuesday: 9am-5pm\nWednesday: 9am-5pm\nThursday: 9am-5pm\nFriday: 9am-5pm\nSaturday: Closed\nSunday: Closed`}
-                />
-              </div>
-
-              <hr className="divider" />
-
-              <div className="form-field">
-                <label className="form-label" htmlFor="average_price">Price range</label>
-                <input
-                  type="text"
-                  id="average_price"
-                  name="average_price"
-                  className="form-input"
-                  maxLength={100}
-                  placeholder="e.g., £5–15/meter, Budget-friendly, Premium…"
-                />
-              </div>
-            </>
-          )}
+          {/* Kept mounted while collapsed so typed values still submit */}
+          <div className={showOptional ? '' : 'hidden'}>
+            <hr className="divider" />
+
+            <div className="form-field">
+              <label className="form-label" htmlFor="opening_hours">Opening hours</label>
+              <textarea
+                id="opening_hours"
+                name="opening_hours"
+                className="form-input"
+                rows={7}
+                placeholder={`Monday: 9am-5pm\nTuesday: 9am-5pm\nWednesday: 9am-5pm\nThursday: 9am-5pm\nFriday: 9am-5pm\nSaturday: Closed\nSunday: Closed`}
+              />
+            </div>
+
+            <hr className="divider" />
+
+            <div className="form-field">
+              <label className="form-label" htmlFor="average_price">Price range</label>
+              <input
+                type="text"
+                id="average_price"
+                name="average_price"
+                className="form-input"
+                maxLength={100}
+                placeholder="e.g., £5–15/meter, Budget-friendly, Premium…"
+              />
+            </div>
+          </div>
 
           <hr className="divider" />
 
@@ -0,0 +1,313 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import PasswordStrengthMeter from '@/components/PasswordStrengthMeter';
+import {
+  updateDisplayName,
+  changeEmail,
+  changePassword,
+  exportAccountData,
+  deleteAccount,
+} from '@/lib/storage';
+import { validateEmail, validateName, validatePassword } from '@/lib/validator';
+
+const EMPTY_STATUS = { text: '', isError: false };
+
+function StatusMessage({ status }) {
+  if (!status.text) return null;
+  return (
+    <p className={`account-message${status.isError ? ' error' : ''}`} aria-live="polite">
+      {status.text}
+    </p>
+  );
+}
+
+/**
+ * Settings on the account page: profile, email, password, data export and
+ * account deletion.
+ * @param {object} props
+ * @param {{ id: string, name: string, email: string }} props.user
+ */
+export default function AccountSettings({ user }) {
+  return (
+    <section id="account-settings" className="account-card account-settings">
+      <h2>Settings</h2>
+      <ProfileForm user={user} />
+      <EmailForm user={user} />
+      <PasswordForm user={user} />
+      <ExportData user={user} />
+      <DeleteAccount user={user} />
+    </section>
+  );
+}
+
+// ── Display name ────────────────────────────────────────────────────────────
+function ProfileForm({ user }) {
+  const [name, setName] = useState(user.name === user.email ? '' : user.name);
+  const [status, setStatus] = useState(EMPTY_STATUS);
+  const [saving, setSaving] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const updated = await updateDisplayName(validateName(name, 1, 50));
+      setStatus({ text: `You'll appear as ${updated?.name}.`, isError: false });
+    } catch (err) {
+      setStatus({ text: err.message || 'Unable to update your name.', isError: true });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="settings-block" onSubmit={handleSubmit}>
+      <h3>Profile</h3>
+      <label className="field-label" htmlFor="settings-name">Display name</label>
+      <input
+        id="settings-name"
+        type="text"
+        required
+        maxLength={50}
+        autoComplete="name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <button className="secondary-btn" type="submit" disabled={saving}>
+        {saving ? 'Saving…' : 'Save name'}
+      </button>
+      <StatusMessage status={status} />
+    </form>
+  );
+}
+
+// ── Email ───────────────────────────────────────────────────────────────────
+function EmailForm({ user }) {
+  const [email, setEmail] = useState('');
+  const [status, setStatus] = useState(EMPTY_STATUS);
+  const [saving, setSaving] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const newEmail = validateEmail(email);
+      if (newEmail === user.email.toLowerCase()) throw new Error("That's already your email.");
+      const siteUrl = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000';
+      await changeEmail(newEmail, { redirectTo: `${siteUrl}/account` });
+      setEmail('');
+      setStatus({
+        text: `Check ${newEmail} for a confirmation link. Until you follow it, keep using ${user.email}.`,
+        isError: false,
+      });
+    } catch (err) {
+      setStatus({ text: err.message || 'Unable to change your email.', isError: true });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="settings-block" onSubmit={handleSubmit}>
+      <h3>Email</h3>
+      <p className="muted">Currently {user.email}.</p>
+      <label className="field-label" htmlFor="settings-email">New email</label>
+      <input
+        id="settings-email"
+        type="email"
+        required
+        autoComplete="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+      />
+      <button className="secondary-btn" type="submit" disabled={saving}>
+        {saving ? 'Sending…' : 'Change email'}
+      </button>
+      <StatusMessage status={status} />
+    </form>
+  );
+}
+
+// ── Password ────────────────────────────────────────────────────────────────
+function PasswordForm({ user }) {
+  const [values, setValues] = useState({ current: '', next: '', confirm: '' });
+  const [status, setStatus] = useState(EMPTY_STATUS);
+  const [saving, setSaving] = useState(false);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const newPassword = validatePassword(values.next);
+      if (newPassword !== values.confirm) throw new Error('New passwords do not match.');
+      await changePassword({ email: user.email, currentPassword: values.current, newPassword });
+      setValues({ current: '', next: '', confirm: '' });
+      setStatus({ text: 'Password changed.', isError: false });
+    } catch (err) {
+      setStatus({ text: err.message || 'Unable to change your password.', isError: true });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="settings-block" onSubmit={handleSubmit} autoComplete="off">
+      <h3>Password</h3>
+      <p className="muted">
+        Only signed in with an email link, Google or Apple? Use &ldquo;Forgot password?&rdquo; when
+        logged out to set one.
+      </p>
+      <label className="field-label" htmlFor="settings-current-password">Current password</label>
+      <input
+        id="settings-current-password"
+        name="current"
+        type="password"
+        required
+        autoComplete="current-password"
+        value={values.current}
+        onChange={handleChange}
+      />
+      <label className="field-label" htmlFor="settings-new-password">New password</label>
+      <input
+        id="settings-new-password"
+        name="next"
+        type="password"
+        required
+        autoComplete="new-password"
+        aria-describedby="settings-password-meter"
+        value={values.next}
+        onChange={handleChange}
+      />
+      <PasswordStrengthMeter id="settings-password-meter" password={values.next} />
+      <label className="field-label" htmlFor="settings-confirm-password">Confirm new password</label>
+      <input
+        id="settings-confirm-password"
+        name="confirm"
+        type="password"
+        required
+        autoComplete="new-password"
+        value={values.confirm}
+        onChange={handleChange}
+      />
+      <button className="secondary-btn" type="submit" disabled={saving}>
+        {saving ? 'Saving…' : 'Change password'}
+      </button>
+      <StatusMessage status={status} />
+    </form>
+  );
+}
+
+// ── Export ──────────────────────────────────────────────────────────────────
+function ExportData({ user }) {
+  const [status, setStatus] = useState(EMPTY_STATUS);
+  const [exporting, setExporting] = useState(false);
+
+  async function handleExport() {
+    setExporting(true);
+    try {
+      const data = await exportAccountData(user);
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `seamline-data-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      setStatus(EMPTY_STATUS);
+    } catch (err) {
+      setStatus({ text: err.message || 'Unable to export your data.', isError: true });
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  return (
+    <div className="settings-block">
+      <h3>Your data</h3>
+      <p className="muted">
+        Download your profile, saved places, collections and submissions as a JSON file.
+      </p>
+      <button className="secondary-btn" type="button" disabled={exporting} onClick={handleExport}>
+        {exporting ? 'Preparing…' : 'Export my data'}
+      </button>
+      <StatusMessage status={status} />
+    </div>
+  );
+}
+
+// ── Delete ──────────────────────────────────────────────────────────────────
+function DeleteAccount({ user }) {
+  const router = useRouter();
+  const [confirming, setConfirming] = useState(false);
+  const [confirmEmail, setConfirmEmail] = useState('');
+  const [status, setStatus] = useState(EMPTY_STATUS);
+  const [deleting, setDeleting] = useState(false);
+
+  const confirmed = confirmEmail.trim().toLowerCase() === user.email.toLowerCase();
+
+  async function handleDelete(e) {
+    e.preventDefault();
+    if (!confirmed) return;
+    setDeleting(true);
+    try {
+      await deleteAccount(user);
+      router.replace('/');
+    } catch (err) {
+      setStatus({ text: err.message || 'Unable to delete your account.', isError: true });
+      setDeleting(false);
+    }
+  }
+
+  return (
+    <div className="settings-block settings-danger">
+      <h3>Delete account</h3>
+      <p className="muted">
+        Removes your account, saved places and collections for good. Places you submitted stay on
+        Seamline without your name or email.
+      </p>
+      {!confirming ? (
+        <button className="secondary-btn" type="button" onClick={() => setConfirming(true)}>
+          Delete my account…
+        </button>
+      ) : (
+        <form onSubmit={handleDelete}>
+          <label className="field-label" htmlFor="settings-delete-confirm">
+            Type {user.email} to confirm
+          </label>
+          <input
+            id="settings-delete-confirm"
+            type="email"
+            autoComplete="off"
+            value={confirmEmail}
+            onChange={(e) => setConfirmEmail(e.target.value)}
+          />
+          <div className="settings-actions">
+            <button className="danger-btn" type="submit" disabled={!confirmed || deleting}>
+              {deleting ? 'Deleting…' : 'Permanently delete'}
+            </button>
+            <button
+              className="secondary-btn"
+              type="button"
+              disabled={deleting}
+              onClick={() => {
+                setConfirming(false);
+                setConfirmEmail('');
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+      <StatusMessage status={status} />
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+'use client';
+
+import { WEEK_DAYS, DAY_NAMES, getZonedTime } from '@/lib/hours';
+
+function defaultOpenAt() {
+  const { day, minutes } = getZonedTime(new Date());
+  const hour = Math.min(Math.floor(minutes / 60) + 1, 23);
+  return {
+    type: 'at',
+    day,
+    time: `${String(hour).padStart(2, '0')}:00`,
+  };
+}
+
+/**
+ * "Open now" / "Open at…" chips for the filter rows.
+ * @param {object} props
+ * @param {object|null} props.value - See filterPlacesByOpening in lib/filters.js
+ * @param {(value: object|null) => void} props.onChange
+ * @param {string} [props.buttonClassName] - Extra class for the chips (e.g. 'tag-filter')
+ */
+export default function OpenFilter({ value, onChange, buttonClassName = '' }) {
+  function chipClass(active) {
+    return [buttonClassName, active ? 'active' : ''].filter(Boolean).join(' ');
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        className={chipClass(value?.type === 'now')}
+        aria-pressed={value?.type === 'now'}
+        onClick={() => onChange(value?.type === 'now' ? null : { type: 'now' })}
+      >
+        Open now
+      </button>
+      <button
+        type="button"
+        className={chipClass(value?.type === 'at')}
+        aria-pressed={value?.type === 'at'}
+        onClick={() => onChange(value?.type === 'at' ? null : defaultOpenAt())}
+      >
+        Open at…
+      </button>
+      {value?.type === 'at' && (
+        <span className="open-at-picker">
+          <select
+            aria-label="Day"
+            value={value.day}
+            onChange={(e) => onChange({ ...value, day: e.target.value })}
+          >
+            {WEEK_DAYS.map((d) => (
+              <option key={d} value={d}>{DAY_NAMES[d]}</option>
+            ))}
+          </select>
+          <input
+            type="time"
+            aria-label="Time"
+            step={900}
+            value={value.time}
+            onChange={(e) => onChange({ ...value, time: e.target.value })}
+          />
+        </span>
+      )}
+    </>
+  );
+}
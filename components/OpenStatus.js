@@ -0,0 +1,27 @@
+import { getOpenStatus } from '@/lib/hours';
+
+const STATE_CLASS = {
+  open: 'status-open',
+  closing: 'status-closing',
+  closed: 'status-closed',
+};
+
+/**
+ * Open/closed indicator with the next change ("Closes in 30 min", "Opens at 10:00").
+ * Renders nothing when the hours can't be read.
+ * @param {object} props
+ * @param {string} props.openingHours - Raw opening hours text
+ * @param {string} [props.timeZone] - Place's IANA time zone (default Europe/London)
+ * @param {Date} [props.now] - Moment to evaluate; defaults to the current time
+ */
+export default function OpenStatus({ openingHours, timeZone, now }) {
+  const status = getOpenStatus(openingHours, { timeZone, now });
+  if (!status) return null;
+  const key = status.closingSoon ? 'closing' : status.state;
+  return (
+    <span className={STATE_CLASS[key]}>
+      <span className="status-dot" />
+      {status.label}
+    </span>
+  );
+}
@@ -0,0 +1,35 @@
+'use client';
+
+import { checkPasswordStrength } from '@/lib/validator';
+
+const LEVELS = { weak: 1, medium: 2, strong: 3 };
+
+/**
+ * Live strength bar and tips for a password input. Hidden until something is typed.
+ * @param {object} props
+ * @param {string} props.password
+ * @param {string} [props.id] - For the input's aria-describedby
+ */
+export default function PasswordStrengthMeter({ password, id }) {
+  if (!password) return null;
+  const { strength, feedback } = checkPasswordStrength(password);
+  const level = LEVELS[strength];
+
+  return (
+    <div id={id} className={`password-meter password-meter-${strength}`} aria-live="polite">
+      <div className="password-meter-bar" aria-hidden="true">
+        {[1, 2, 3].map((n) => (
+          <span key={n} className={n <= level ? 'filled' : ''} />
+        ))}
+      </div>
+      <div className="password-meter-label">
+        Strength: {strength.charAt(0).toUpperCase() + strength.slice(1)}
+      </div>
+      <ul className="password-meter-feedback">
+        {feedback.map((tip) => (
+          <li key={tip}>{tip}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
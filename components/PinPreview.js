@@ -0,0 +1,67 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+
+/**
+ * Small map with a single pin. Pass onMove to make the pin draggable.
+ * @param {object} props
+ * @param {number} props.lat
+ * @param {number} props.lng
+ * @param {(coords: {lat: number, lng: number}) => void} [props.onMove] - Called after a drag
+ */
+export default function PinPreview({ lat, lng, onMove }) {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const markerRef = useRef(null);
+  const onMoveRef = useRef(onMove);
+  onMoveRef.current = onMove;
+  const draggable = Boolean(onMove);
+
+  // ── Mapbox init ──────────────────────────────────────────────────────────
+  useEffect(() => {
+    let map;
+    import('mapbox-gl').then((mod) => {
+      const mapboxgl = mod.default || mod;
+      mapboxgl.accessToken = process.env.NEXT_PUBLIC_MAPBOX_TOKEN;
+      if (!containerRef.current) return;
+      map = new mapboxgl.Map({
+        container: containerRef.current,
+        style: 'mapbox://styles/mapbox/light-v11',
+        center: [lng, lat],
+        zoom: 15,
+      });
+      map.addControl(new mapboxgl.NavigationControl({ showCompass: false }), 'bottom-right');
+
+      const marker = new mapboxgl.Marker({ color: '#0829ff', draggable })
+        .setLngLat([lng, lat])
+        .addTo(map);
+      marker.on('dragend', () => {
+        const pos = marker.getLngLat();
+        onMoveRef.current?.({ lat: pos.lat, lng: pos.lng });
+      });
+
+      mapRef.current = map;
+      markerRef.current = marker;
+    });
+
+    return () => {
+      map?.remove();
+      mapRef.current = null;
+      markerRef.current = null;
+    };
+    // Coordinates are synced below; only rebuild if draggability changes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [draggable]);
+
+  // ── Follow new coordinates (e.g. a fresh geocode) ─────────────────────────
+  useEffect(() => {
+    const marker = markerRef.current;
+    if (!marker) return;
+    const current = marker.getLngLat();
+    if (current.lat === lat && current.lng === lng) return;
+    marker.setLngLat([lng, lat]);
+    mapRef.current?.easeTo({ center: [lng, lat], duration: 400 });
+  }, [lat, lng]);
+
+  return <div ref={containerRef} className="pin-preview" suppressHydrationWarning />;
+}
@@ -3,12 +3,13 @@
 import { useEffect, useRef, useState } from 'react';
 import { createPortal } from 'react-dom';
 import Link from 'next/link';
-import { useAuth } from '@/hooks/useAuth';
+import { useAuth, useCan } from '@/hooks/useAuth';
 
 export default function SideMenu() {
   const [open, setOpen] = useState(false);
   const [mounted, setMounted] = useState(false);
   const user = useAuth();
+  const canModerate = useCan('access_admin');
   const menuRef = useRef(null);
 
   // Only render portal after mount (avoids SSR mismatch)
@@ -55,6 +56,12 @@ export default function SideMenu() {
               <Link className="menu-item" href="/search" onClick={() => setOpen(false)}>Search</Link>
               <Link className="menu-item" href="/saved" onClick={() => setOpen(false)}>Saved places</Link>
               <Link className="menu-item" href="/submit" onClick={() => setOpen(false)}>Submit a place</Link>
+              {user && (
+                <Link className="menu-item" href="/submissions" onClick={() => setOpen(false)}>My submissions</Link>
+              )}
+              {canModerate && (
+                <Link className="menu-item" href="/admin" onClick={() => setOpen(false)}>Moderation</Link>
+              )}
               <Link className="menu-item" href="/about" onClick={() => setOpen(false)}>About</Link>
               <Link className="menu-item" href="/account" onClick={() => setOpen(false)}>
                 {user ? 'My account' : 'Log in / Sign up'}
@@ -0,0 +1,242 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { supabase } from '@/lib/supabase';
+import { toSearchPattern } from '@/lib/sanitizer';
+import { MODERATION_ACTIONS, getModerationAction } from '@/lib/moderation';
+
+const PAGE_SIZE = 20;
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '(empty)';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function targetHref(entry) {
+  if (entry.target_type === 'place') return `/place/${encodeURIComponent(entry.target_id)}`;
+  return null;
+}
+
+/**
+ * Moderation log: who did what to which record, with a before/after diff.
+ * @param {object} props
+ * @param {(text: string, isError: boolean) => void} props.showMessage
+ */
+export default function ActivityPanel({ showMessage }) {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [action, setAction] = useState('');
+  const [actorInput, setActorInput] = useState('');
+  const [actor, setActor] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  // ── Text filters (debounced) ──────────────────────────────────────────────
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setActor(actorInput.trim());
+      setPage(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput, actorInput]);
+
+  // ── Load a page of log entries ────────────────────────────────────────────
+  useEffect(() => {
+    let cancelled = false;
+    async function loadEntries() {
+      setLoading(true);
+
+      let query = supabase.from('moderation_log').select('*', { count: 'exact' });
+
+      const pattern = toSearchPattern(search);
+      if (pattern) query = query.or(`target_name.ilike.${pattern},target_id.ilike.${pattern}`);
+      const actorPattern = toSearchPattern(actor);
+      if (actorPattern) query = query.ilike('actor_email', actorPattern);
+      if (action) query = query.eq('action', action);
+      if (dateFrom) query = query.gte('created_at', new Date(`${dateFrom}T00:00`).toISOString());
+      if (dateTo) {
+        const end = new Date(`${dateTo}T00:00`);
+        end.setDate(end.getDate() + 1);
+        query = query.lt('created_at', end.toISOString());
+      }
+
+      const from = page * PAGE_SIZE;
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (cancelled) return;
+      if (error) {
+        showMessage('Failed to load activity: ' + error.message, true);
+        setEntries([]);
+        setTotal(0);
+      } else {
+        setEntries(data ?? []);
+        setTotal(count ?? 0);
+      }
+      setExpandedId(null);
+      setLoading(false);
+    }
+    loadEntries();
+    return () => {
+      cancelled = true;
+    };
+    // showMessage is recreated every render upstream; it doesn't affect the query
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page, search, actor, action, dateFrom, dateTo]);
+
+  function changeFilter(setter) {
+    return (e) => {
+      setter(e.target.value);
+      setPage(0);
+    };
+  }
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  // ── Render ────────────────────────────────────────────────────────────────
+  return (
+    <div>
+      <div className="activity-filters">
+        <input
+          type="search"
+          placeholder="Search place, submission or user"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <input
+          type="search"
+          placeholder="Moderator email"
+          value={actorInput}
+          onChange={(e) => setActorInput(e.target.value)}
+        />
+        <select value={action} onChange={changeFilter(setAction)} aria-label="Action">
+          <option value="">All actions</option>
+          {MODERATION_ACTIONS.map((a) => (
+            <option key={a.id} value={a.id}>{a.label}</option>
+          ))}
+        </select>
+        <label>
+          From
+          <input type="date" value={dateFrom} max={dateTo || undefined} onChange={changeFilter(setDateFrom)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={dateTo} min={dateFrom || undefined} onChange={changeFilter(setDateTo)} />
+        </label>
+      </div>
+
+      <div className="activity-count">
+        {loading ? 'Loading…' : `${total} entr${total !== 1 ? 'ies' : 'y'}.`}
+      </div>
+
+      {!loading && entries.length === 0 && <div className="empty-state">No activity matches.</div>}
+
+      <ul className="activity-list">
+        {entries.map((entry) => {
+          const changedKeys = Object.keys({ ...entry.before, ...entry.after });
+          const href = targetHref(entry);
+          const expanded = expandedId === entry.id;
+          return (
+            <li key={entry.id} className="activity-entry">
+              <div className="activity-summary">
+                <span className="activity-actor">{entry.actor_email || 'System'}</span>{' '}
+                <span>{(getModerationAction(entry.action)?.label ?? entry.action).toLowerCase()}</span>{' '}
+                {href ? (
+                  <a href={href} target="_blank" rel="noopener noreferrer">
+                    {entry.target_name || entry.target_id}
+                  </a>
+                ) : (
+                  <strong>{entry.target_name || entry.target_id}</strong>
+                )}
+              </div>
+              <div className="activity-meta">
+                <time dateTime={entry.created_at}>{new Date(entry.created_at).toLocaleString()}</time>
+                {changedKeys.length > 0 && (
+                  <>
+                    {' · '}
+                    <button
+                      type="button"
+                      className="link-btn"
+                      onClick={() => setExpandedId(expanded ? null : entry.id)}
+                    >
+                      {expanded ? 'Hide changes' : `${changedKeys.length} field${changedKeys.length !== 1 ? 's' : ''} changed`}
+                    </button>
+                  </>
+                )}
+              </div>
+
+              {expanded && (
+                <table className="activity-diff">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>Before</th>
+                      <th>After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {changedKeys.map((key) => (
+                      <tr key={key}>
+                        <td>{key}</td>
+                        <td className="activity-before">{formatValue(entry.before?.[key])}</td>
+                        <td className="activity-after">{formatValue(entry.after?.[key])}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {pageCount > 1 && (
+        <div className="activity-pagination">
+          <button className="reject-btn" disabled={page === 0 || loading} onClick={() => setPage((p) => p - 1)}>
+            Previous
+          </button>
+          <span>
+            Page {page + 1} of {pageCount}
+          </span>
+          <button
+            className="reject-btn"
+            disabled={page + 1 >= pageCount || loading}
+            onClick={() => setPage((p) => p + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      <style jsx>{`
+        .activity-filters { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem; }
+        .activity-filters input, .activity-filters select { border: 1px solid #ddd; border-radius: 8px; padding: 7px 10px; font-size: 14px; font-family: inherit; }
+        .activity-filters input[type='search'] { flex: 1; min-width: 160px; }
+        .activity-filters label { display: flex; align-items: center; gap: 6px; font-size: 0.85rem; color: #666; }
+        .activity-count { font-size: 0.85rem; color: #666; margin-bottom: 1rem; }
+        .empty-state { text-align: center; padding: 3rem 1rem; color: #999; }
+        .activity-list { list-style: none; margin: 0; padding: 0; }
+        .activity-entry { border-bottom: 1px solid #f0f0f0; padding: 0.75rem 0; }
+        .activity-summary { font-size: 0.95rem; line-height: 1.4; }
+        .activity-summary a { color: #111; }
+        .activity-actor { font-weight: 600; }
+        .activity-meta { font-size: 0.8rem; color: #999; margin-top: 2px; }
+        .activity-diff { width: 100%; border-collapse: collapse; margin-top: 0.5rem; font-size: 0.85rem; }
+        .activity-diff th { text-align: left; font-weight: 600; color: #666; padding: 4px 8px; border-bottom: 1px solid #eee; }
+        .activity-diff td { padding: 4px 8px; vertical-align: top; white-space: pre-line; word-break: break-word; }
+        .activity-before { color: #721c24; background: #fdf2f3; }
+        .activity-after { color: #155724; background: #f1f9f3; }
+        .activity-pagination { display: flex; justify-content: center; align-items: center; gap: 1rem; margin: 1.5rem 0; font-size: 0.85rem; color: #666; }
+      `}</style>
+    </div>
+  );
+}
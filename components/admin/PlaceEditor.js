@@ -0,0 +1,220 @@
+'use client';
+
+import { useState } from 'react';
+import PinPreview from '@/components/PinPreview';
+import { validatePlaceEdit, PLACE_CATEGORIES } from '@/lib/validator';
+import { normalizeOpeningHours, DEFAULT_TIME_ZONE } from '@/lib/hours';
+import { geocodeAddress } from '@/lib/geocoder';
+
+function toFormValues(place) {
+  return {
+    name: place.name ?? '',
+    slug: place.slug ?? '',
+    category: place.category ?? '',
+    address: place.address ?? '',
+    lat: place.lat ?? '',
+    lng: place.lng ?? '',
+    timezone: place.timezone ?? '',
+    website: place.website ?? '',
+    phone: place.phone ?? '',
+    pop_up: place.pop_up ?? '',
+    more_info: place.more_info ?? '',
+    opening_hours: place.opening_hours ?? '',
+    average_price: place.average_price ?? '',
+    tags: Array.isArray(place.tags) ? place.tags.join(', ') : '',
+    photos: Array.isArray(place.photos) ? place.photos.join('\n') : '',
+    permanently_closed: Boolean(place.permanently_closed),
+  };
+}
+
+/**
+ * Inline edit form for a published place, covering everything the place page shows.
+ * @param {object} props
+ * @param {object} props.place - places row
+ * @param {(changes: object) => Promise<void>} props.onSave - Receives validated columns
+ * @param {() => void} props.onCancel
+ */
+export default function PlaceEditor({ place, onSave, onCancel }) {
+  const [values, setValues] = useState(() => toFormValues(place));
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [locating, setLocating] = useState(false);
+
+  const lat = Number(values.lat);
+  const lng = Number(values.lng);
+  const hasPin = values.lat !== '' && values.lng !== '' && isFinite(lat) && isFinite(lng);
+
+  function handleChange(e) {
+    const { name, value, type, checked } = e.target;
+    setValues((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  }
+
+  function handlePinMove(coords) {
+    setValues((prev) => ({ ...prev, lat: coords.lat.toFixed(6), lng: coords.lng.toFixed(6) }));
+  }
+
+  async function handleLocate() {
+    setError('');
+    setLocating(true);
+    try {
+      const result = await geocodeAddress(values.address);
+      if (!result) throw new Error("Couldn't find that address.");
+      handlePinMove(result);
+    } catch (err) {
+      setError(err.message || 'Address lookup failed.');
+    } finally {
+      setLocating(false);
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    try {
+      const changes = validatePlaceEdit(values);
+      changes.opening_hours = normalizeOpeningHours(changes.opening_hours);
+      await onSave(changes);
+    } catch (err) {
+      setError(err.message || 'Unable to save changes.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="place-editor" onSubmit={handleSubmit}>
+      {error && <div className="editor-error">{error}</div>}
+
+      <div className="editor-row">
+        <label>
+          Name
+          <input name="name" value={values.name} onChange={handleChange} maxLength={200} required />
+        </label>
+        <label>
+          Slug <span className="editor-hint">/place/…</span>
+          <input name="slug" value={values.slug} onChange={handleChange} maxLength={80} />
+        </label>
+      </div>
+
+      <label>
+        Category
+        <select name="category" value={values.category} onChange={handleChange} required>
+          <option value="">Select a category…</option>
+          {PLACE_CATEGORIES.map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+          {values.category && !PLACE_CATEGORIES.includes(values.category) && (
+            <option value={values.category}>{values.category}</option>
+          )}
+        </select>
+      </label>
+
+      <label>
+        Address
+        <input name="address" value={values.address} onChange={handleChange} />
+      </label>
+
+      <div className="editor-row">
+        <label>
+          Latitude
+          <input name="lat" inputMode="decimal" value={values.lat} onChange={handleChange} />
+        </label>
+        <label>
+          Longitude
+          <input name="lng" inputMode="decimal" value={values.lng} onChange={handleChange} />
+        </label>
+        <button type="button" className="reject-btn" disabled={locating} onClick={handleLocate}>
+          {locating ? 'Finding…' : 'Find from address'}
+        </button>
+      </div>
+      {hasPin && <PinPreview lat={lat} lng={lng} onMove={handlePinMove} />}
+
+      <div className="editor-row">
+        <label>
+          Website
+          <input name="website" value={values.website} onChange={handleChange} />
+        </label>
+        <label>
+          Phone
+          <input name="phone" type="tel" value={values.phone} onChange={handleChange} />
+        </label>
+      </div>
+
+      <label>
+        Short description
+        <textarea name="pop_up" rows={2} value={values.pop_up} onChange={handleChange} maxLength={200} />
+      </label>
+
+      <label>
+        More info <span className="editor-hint">shown instead of the short description when set</span>
+        <textarea name="more_info" rows={4} value={values.more_info} onChange={handleChange} maxLength={2000} />
+      </label>
+
+      <div className="editor-row">
+        <label>
+          Opening hours
+          <textarea name="opening_hours" rows={5} value={values.opening_hours} onChange={handleChange} />
+        </label>
+        <div className="editor-column">
+          <label>
+            Time zone
+            <input
+              name="timezone"
+              value={values.timezone}
+              onChange={handleChange}
+              placeholder={DEFAULT_TIME_ZONE}
+            />
+          </label>
+          <label>
+            Price range
+            <input name="average_price" value={values.average_price} onChange={handleChange} maxLength={100} />
+          </label>
+        </div>
+      </div>
+
+      <label>
+        Tags <span className="editor-hint">comma separated</span>
+        <input name="tags" value={values.tags} onChange={handleChange} />
+      </label>
+
+      <label>
+        Photos <span className="editor-hint">one URL per line</span>
+        <textarea name="photos" rows={3} value={values.photos} onChange={handleChange} />
+      </label>
+
+      <label className="editor-checkbox">
+        <input
+          type="checkbox"
+          name="permanently_closed"
+          checked={values.permanently_closed}
+          onChange={handleChange}
+        />
+        Permanently closed <span className="editor-hint">removes the pin; the page stays with a notice</span>
+      </label>
+
+      <div className="editor-actions">
+        <button type="submit" className="approve-btn" disabled={saving}>
+          {saving ? 'Saving…' : 'Save changes'}
+        </button>
+        <button type="button" className="reject-btn" disabled={saving} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+
+      <style jsx>{`
+        .place-editor { display: flex; flex-direction: column; gap: 0.75rem; margin: 0.75rem 0; }
+        label { display: flex; flex-direction: column; gap: 4px; font-size: 0.85rem; color: #444; font-weight: 600; }
+        input, select, textarea { border: 1px solid #ddd; border-radius: 8px; padding: 8px 10px; font-size: 14px; font-family: inherit; font-weight: 400; color: #111; }
+        textarea { resize: vertical; }
+        .editor-row { display: flex; gap: 0.75rem; align-items: flex-end; flex-wrap: wrap; }
+        .editor-row > label, .editor-column { flex: 1; min-width: 160px; }
+        .editor-column { display: flex; flex-direction: column; gap: 0.75rem; }
+        .editor-checkbox { flex-direction: row; align-items: center; gap: 8px; }
+        .editor-hint { font-weight: 400; color: #999; }
+        .editor-error { background: #f8d7da; color: #721c24; border-radius: 8px; padding: 0.6rem 0.9rem; font-size: 0.85rem; }
+        .editor-actions { display: flex; gap: 0.75rem; }
+      `}</style>
+    </form>
+  );
+}
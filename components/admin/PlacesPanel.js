@@ -0,0 +1,233 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import PlaceEditor from '@/components/admin/PlaceEditor';
+import { supabase } from '@/lib/supabase';
+import { toSearchPattern } from '@/lib/sanitizer';
+import { invalidatePlaces } from '@/lib/places';
+
+const PAGE_SIZE = 20;
+
+const VISIBILITY_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'live', label: 'Live' },
+  { id: 'closed', label: 'Permanently closed' },
+  { id: 'unpublished', label: 'Unpublished' },
+];
+
+/**
+ * Published places: search, inline editing, unpublish/republish.
+ * @param {object} props
+ * @param {(text: string, isError: boolean) => void} props.showMessage
+ */
+export default function PlacesPanel({ showMessage }) {
+  const [places, setPlaces] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [visibility, setVisibility] = useState('all');
+  const [editingId, setEditingId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  // ── Search box (debounced) ────────────────────────────────────────────────
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // ── Load a page of places ─────────────────────────────────────────────────
+  useEffect(() => {
+    let cancelled = false;
+    async function loadPlaces() {
+      setLoading(true);
+
+      let query = supabase.from('places').select('*', { count: 'exact' });
+
+      const pattern = toSearchPattern(search);
+      if (pattern) {
+        query = query.or(`name.ilike.${pattern},address.ilike.${pattern},slug.ilike.${pattern}`);
+      }
+      if (visibility === 'live') query = query.is('unpublished_at', null).eq('permanently_closed', false);
+      if (visibility === 'closed') query = query.eq('permanently_closed', true);
+      if (visibility === 'unpublished') query = query.not('unpublished_at', 'is', null);
+
+      const from = page * PAGE_SIZE;
+      const { data, error, count } = await query.order('name').range(from, from + PAGE_SIZE - 1);
+
+      if (cancelled) return;
+      if (error) {
+        showMessage('Failed to load places: ' + error.message, true);
+        setPlaces([]);
+        setTotal(0);
+      } else {
+        setPlaces(data ?? []);
+        setTotal(count ?? 0);
+      }
+      setLoading(false);
+    }
+    loadPlaces();
+    return () => {
+      cancelled = true;
+    };
+    // showMessage is recreated every render upstream; it doesn't affect the query
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page, search, visibility]);
+
+  function replacePlace(updated) {
+    setPlaces((prev) => prev.map((p) => (p.id === updated.id ? { ...p, ...updated } : p)));
+  }
+
+  // ── Edit ──────────────────────────────────────────────────────────────────
+  // Throws so the editor can show the error next to the form
+  async function handleSave(place, changes) {
+    const { data, error } = await supabase.rpc('update_place', { place_id: place.id, changes });
+    if (error) {
+      if (error.code === '23505') throw new Error('Another place already uses that slug.');
+      throw error;
+    }
+    invalidatePlaces();
+    replacePlace(data);
+    setEditingId(null);
+    showMessage(`"${data?.name ?? place.name}" saved.`, false);
+  }
+
+  // ── Unpublish / republish ─────────────────────────────────────────────────
+  async function handleTogglePublished(place) {
+    const publish = Boolean(place.unpublished_at);
+    if (
+      !publish &&
+      !window.confirm(`Unpublish "${place.name}"? It disappears from the site until republished.`)
+    ) {
+      return;
+    }
+    setBusyId(place.id);
+    try {
+      const { data, error } = await supabase.rpc('set_place_published', {
+        place_id: place.id,
+        published: publish,
+      });
+      if (error) throw error;
+      invalidatePlaces();
+      replacePlace(data);
+      showMessage(`"${place.name}" ${publish ? 'republished' : 'unpublished'}.`, false);
+    } catch (err) {
+      showMessage(`${publish ? 'Republish' : 'Unpublish'} failed: ${err.message || 'Unknown error'}`, true);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  // ── Render ────────────────────────────────────────────────────────────────
+  return (
+    <div>
+      <div className="places-filters">
+        <input
+          type="search"
+          placeholder="Search name, address or slug"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <select
+          aria-label="Visibility"
+          value={visibility}
+          onChange={(e) => {
+            setVisibility(e.target.value);
+            setPage(0);
+          }}
+        >
+          {VISIBILITY_FILTERS.map((f) => (
+            <option key={f.id} value={f.id}>{f.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="places-count">
+        {loading ? 'Loading…' : `${total} place${total !== 1 ? 's' : ''}.`}
+      </div>
+
+      {!loading && places.length === 0 && <div className="empty-state">No places match.</div>}
+
+      {places.map((place) => (
+        <div key={place.id} className={`place-row${place.unpublished_at ? ' unpublished' : ''}`}>
+          <div className="place-row-header">
+            <div>
+              <strong>{place.name}</strong>
+              <div className="place-row-meta">
+                {[place.category, place.address].filter(Boolean).join(' · ')}
+              </div>
+            </div>
+            <div className="place-row-badges">
+              {place.permanently_closed && <span className="status-badge status-rejected">Closed</span>}
+              {place.unpublished_at && <span className="status-badge status-pending">Unpublished</span>}
+            </div>
+          </div>
+
+          {editingId === place.id ? (
+            <PlaceEditor
+              place={place}
+              onSave={(changes) => handleSave(place, changes)}
+              onCancel={() => setEditingId(null)}
+            />
+          ) : (
+            <div className="place-row-actions">
+              <a href={`/place/${encodeURIComponent(place.slug || place.id)}`} target="_blank" rel="noopener noreferrer">
+                View
+              </a>
+              <button className="reject-btn" onClick={() => setEditingId(place.id)}>
+                Edit
+              </button>
+              <button
+                className="reject-btn"
+                disabled={busyId === place.id}
+                onClick={() => handleTogglePublished(place)}
+              >
+                {place.unpublished_at ? 'Republish' : 'Unpublish'}
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {pageCount > 1 && (
+        <div className="places-pagination">
+          <button className="reject-btn" disabled={page === 0 || loading} onClick={() => setPage((p) => p - 1)}>
+            Previous
+          </button>
+          <span>
+            Page {page + 1} of {pageCount}
+          </span>
+          <button
+            className="reject-btn"
+            disabled={page + 1 >= pageCount || loading}
+            onClick={() => setPage((p) => p + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      <style jsx>{`
+        .places-filters { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem; }
+        .places-filters input, .places-filters select { border: 1px solid #ddd; border-radius: 8px; padding: 7px 10px; font-size: 14px; font-family: inherit; }
+        .places-filters input { flex: 1; min-width: 200px; }
+        .places-count { font-size: 0.85rem; color: #666; margin-bottom: 1rem; }
+        .empty-state { text-align: center; padding: 3rem 1rem; color: #999; }
+        .place-row { background: #fff; border: 1px solid #eee; border-radius: 12px; padding: 1rem 1.25rem; margin-bottom: 0.75rem; }
+        .place-row.unpublished { background: #fafafa; }
+        .place-row-header { display: flex; justify-content: space-between; gap: 1rem; }
+        .place-row-meta { font-size: 0.85rem; color: #666; margin-top: 2px; }
+        .place-row-badges { display: flex; gap: 6px; align-items: flex-start; flex-shrink: 0; }
+        .place-row-actions { display: flex; align-items: center; gap: 0.75rem; margin-top: 0.75rem; }
+        .place-row-actions a { color: #111; font-size: 14px; margin-right: auto; }
+        .places-pagination { display: flex; justify-content: center; align-items: center; gap: 1rem; margin: 1.5rem 0; font-size: 0.85rem; color: #666; }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+'use client';
+
+import { useState } from 'react';
+import { REJECTION_REASONS } from '@/lib/moderation';
+
+/**
+ * Reason + note picker for rejecting one or more submissions.
+ * @param {object} props
+ * @param {(rejection: {reason: string, note: string}) => Promise<void>} props.onSubmit
+ * @param {() => void} props.onCancel
+ * @param {string} [props.submitLabel]
+ */
+export default function RejectForm({ onSubmit, onCancel, submitLabel = 'Reject and notify' }) {
+  const [reason, setReason] = useState('');
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    await onSubmit({ reason, note: note.trim() });
+    setBusy(false);
+  }
+
+  return (
+    <form
+      className="reject-form"
+      onSubmit={handleSubmit}
+      onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+    >
+      <label>
+        Reason
+        <select autoFocus value={reason} onChange={(e) => setReason(e.target.value)} required>
+          <option value="">Choose a reason…</option>
+          {REJECTION_REASONS.map((r) => (
+            <option key={r.id} value={r.id}>{r.label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Note to submitter{reason === 'other' ? '' : ' (optional)'}
+        <textarea
+          rows={2}
+          maxLength={500}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          required={reason === 'other'}
+        />
+      </label>
+      <div className="reject-form-actions">
+        <button type="submit" className="approve-btn" disabled={busy}>
+          {busy ? 'Rejecting…' : submitLabel}
+        </button>
+        <button type="button" className="reject-btn" disabled={busy} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+
+      <style jsx>{`
+        .reject-form { display: flex; flex-direction: column; gap: 0.75rem; margin-top: 1rem; padding-top: 1rem; border-top: 1px solid #f0f0f0; }
+        label { display: flex; flex-direction: column; gap: 4px; font-size: 0.85rem; font-weight: 600; color: #444; }
+        select, textarea { border: 1px solid #ddd; border-radius: 8px; padding: 8px 10px; font-size: 14px; font-family: inherit; font-weight: 400; }
+        .reject-form-actions { display: flex; gap: 0.75rem; }
+      `}</style>
+    </form>
+  );
+}
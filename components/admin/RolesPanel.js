@@ -0,0 +1,143 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { supabase } from '@/lib/supabase';
+import { ROLES, getCapabilities } from '@/lib/roles';
+
+const CAPABILITY_LABELS = {
+  submit_place: 'submit places',
+  manage_own_submissions: 'edit their own submissions',
+  access_admin: 'open the admin panel',
+  review_submissions: 'approve and reject submissions',
+  view_activity: 'read the activity log',
+  manage_places: 'edit and unpublish places',
+  manage_roles: 'grant roles',
+};
+
+/**
+ * Grant and revoke roles. Staff are listed first; search finds anyone by email.
+ * @param {object} props
+ * @param {string} props.currentUserId - The signed-in admin, who can't demote themselves
+ * @param {(text: string, isError: boolean) => void} props.showMessage
+ */
+export default function RolesPanel({ currentUserId, showMessage }) {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [savingId, setSavingId] = useState(null);
+
+  // ── Search box (debounced) ────────────────────────────────────────────────
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // ── Load users ────────────────────────────────────────────────────────────
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    supabase.rpc('list_user_roles', { search: search || null }).then(({ data, error }) => {
+      if (cancelled) return;
+      if (error) showMessage('Failed to load users: ' + error.message, true);
+      setUsers(data ?? []);
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+    // showMessage is recreated every render upstream; it doesn't affect the query
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [search]);
+
+  // ── Change role ───────────────────────────────────────────────────────────
+  async function handleRoleChange(target, newRole) {
+    if (newRole === target.role) return;
+    if (
+      newRole === 'admin' &&
+      !window.confirm(`Make ${target.email} an admin? They'll be able to change anyone's role.`)
+    ) {
+      return;
+    }
+    setSavingId(target.user_id);
+    try {
+      const { error } = await supabase.rpc('set_user_role', {
+        user_id: target.user_id,
+        new_role: newRole,
+      });
+      if (error) throw error;
+      setUsers((prev) => prev.map((u) => (u.user_id === target.user_id ? { ...u, role: newRole } : u)));
+      showMessage(`${target.email} is now ${newRole === 'admin' ? 'an' : 'a'} ${newRole}.`, false);
+    } catch (err) {
+      showMessage('Role change failed: ' + (err.message || 'Unknown error'), true);
+    } finally {
+      setSavingId(null);
+    }
+  }
+
+  // ── Render ────────────────────────────────────────────────────────────────
+  return (
+    <div>
+      <dl className="roles-legend">
+        {ROLES.map((r) => (
+          <div key={r.id}>
+            <dt>{r.label}</dt>
+            <dd>Can {getCapabilities(r.id).map((c) => CAPABILITY_LABELS[c] ?? c).join(', ')}.</dd>
+          </div>
+        ))}
+      </dl>
+
+      <input
+        className="roles-search"
+        type="search"
+        placeholder="Search by email"
+        value={searchInput}
+        onChange={(e) => setSearchInput(e.target.value)}
+      />
+
+      {loading && <div className="roles-count">Loading…</div>}
+      {!loading && users.length === 0 && <div className="empty-state">No users match.</div>}
+
+      <ul className="roles-list">
+        {users.map((u) => (
+          <li key={u.user_id} className="roles-row">
+            <div>
+              <div className="roles-email">
+                {u.email}
+                {u.user_id === currentUserId && <span className="roles-you"> (you)</span>}
+              </div>
+              {u.created_at && (
+                <div className="roles-meta">Joined {new Date(u.created_at).toLocaleDateString()}</div>
+              )}
+            </div>
+            <select
+              aria-label={`Role for ${u.email}`}
+              value={u.role}
+              disabled={savingId === u.user_id || u.user_id === currentUserId}
+              onChange={(e) => handleRoleChange(u, e.target.value)}
+            >
+              {ROLES.map((r) => (
+                <option key={r.id} value={r.id}>{r.label}</option>
+              ))}
+            </select>
+          </li>
+        ))}
+      </ul>
+
+      <style jsx>{`
+        .roles-legend { display: grid; gap: 0.5rem; margin: 0 0 1.25rem; padding: 0.75rem 1rem; background: #fafafa; border-radius: 8px; font-size: 0.85rem; }
+        .roles-legend dt { display: inline; font-weight: 600; }
+        .roles-legend dd { display: inline; margin: 0 0 0 0.4rem; color: #666; }
+        .roles-search { width: 100%; border: 1px solid #ddd; border-radius: 8px; padding: 7px 10px; font-size: 14px; font-family: inherit; margin-bottom: 1rem; }
+        .roles-count { font-size: 0.85rem; color: #666; margin-bottom: 1rem; }
+        .empty-state { text-align: center; padding: 3rem 1rem; color: #999; }
+        .roles-list { list-style: none; margin: 0; padding: 0; }
+        .roles-row { display: flex; justify-content: space-between; align-items: center; gap: 1rem; padding: 0.75rem 0; border-bottom: 1px solid #f0f0f0; }
+        .roles-email { font-size: 0.95rem; word-break: break-all; }
+        .roles-you { color: #999; }
+        .roles-meta { font-size: 0.8rem; color: #999; margin-top: 2px; }
+        .roles-row select { border: 1px solid #ddd; border-radius: 8px; padding: 6px 8px; font-size: 14px; font-family: inherit; }
+      `}</style>
+    </div>
+  );
+}
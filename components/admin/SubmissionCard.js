@@ -0,0 +1,233 @@
+'use client';
+
+import { useState } from 'react';
+import PinPreview from '@/components/PinPreview';
+import SubmissionEditor from '@/components/admin/SubmissionEditor';
+import RejectForm from '@/components/admin/RejectForm';
+import { getRejectionReason } from '@/lib/moderation';
+
+// Labels for original_values keys, in display order
+const EDITABLE_FIELDS = [
+  ['name', 'Name'],
+  ['category', 'Category'],
+  ['address', 'Address'],
+  ['lat', 'Latitude'],
+  ['lng', 'Longitude'],
+  ['website', 'Website'],
+  ['pop_up', 'Description'],
+  ['tags', 'Tags'],
+  ['opening_hours', 'Hours'],
+  ['photos', 'Photos'],
+];
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return value ?? '';
+}
+
+/**
+ * One submission in the admin queue. The reject form is opened by the parent
+ * so keyboard shortcuts can open it too.
+ */
+export default function SubmissionCard({
+  sub,
+  status,
+  duplicates,
+  focused,
+  selected,
+  rejectFormOpen,
+  onFocus,
+  onToggleSelect,
+  onApprove,
+  onOpenReject,
+  onCloseReject,
+  onReject,
+  onSaveEdit,
+}) {
+  const [approving, setApproving] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [showOriginal, setShowOriginal] = useState(false);
+
+  async function handleSaveEdit(changes) {
+    await onSaveEdit(sub, changes);
+    setEditing(false);
+  }
+
+  // Fields the admin changed, with what the submitter originally sent
+  const originalChanges = sub.original_values
+    ? EDITABLE_FIELDS.filter(
+        ([key]) => formatValue(sub.original_values[key]) !== formatValue(sub[key])
+      ).map(([key, label]) => [label, formatValue(sub.original_values[key])])
+    : [];
+
+  async function handleApprove() {
+    setApproving(true);
+    await onApprove(sub);
+    setApproving(false);
+  }
+
+  const date = sub.created_at ? new Date(sub.created_at).toLocaleDateString() : '';
+  const editedDate = sub.edited_at ? new Date(sub.edited_at).toLocaleDateString() : '';
+  const fields = [
+    ['Address', sub.address],
+    ['Website', sub.website],
+    ['Phone', sub.phone],
+    ['Hours', sub.opening_hours],
+    ['Price range', sub.average_price],
+    ['Description', sub.pop_up],
+    ['More info', sub.more_info],
+    ['Photos', Array.isArray(sub.photos) && sub.photos.length ? sub.photos.join('\n') : null],
+  ];
+
+  return (
+    <div
+      className={`submission-card${focused ? ' focused' : ''}${selected ? ' selected' : ''}`}
+      data-id={sub.id}
+      onClick={onFocus}
+    >
+      <div className="submission-title">
+        {status === 'pending' && (
+          <input
+            type="checkbox"
+            aria-label={`Select ${sub.name}`}
+            checked={selected}
+            onChange={() => onToggleSelect(sub)}
+            onClick={(e) => e.stopPropagation()}
+          />
+        )}
+        <h3>{sub.name ?? 'Untitled'}</h3>
+      </div>
+      <div className="submission-meta">
+        <span className={`status-badge status-${sub.status ?? 'pending'}`}>
+          {sub.status ?? 'pending'}
+        </span>{' '}
+        {[sub.category, sub.submitter_email, date, editedDate && `edited ${editedDate}`]
+          .filter(Boolean)
+          .join(' · ')}
+      </div>
+
+      {duplicates.length > 0 && (
+        <div className="duplicate-warning">
+          <strong>Possible duplicate</strong>
+          <ul>
+            {duplicates.map(({ record, reasons }) => (
+              <li key={`${record.pending ? 'pending' : 'place'}-${record.id}`}>
+                {record.pending ? (
+                  <span>{record.name} (also pending)</span>
+                ) : (
+                  <a href={`/place/${encodeURIComponent(record.id)}`} target="_blank" rel="noopener noreferrer">
+                    {record.name}
+                  </a>
+                )}
+                {record.address && ` · ${record.address}`}
+                <span className="duplicate-reason"> — {reasons.join(', ')}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {editing && (
+        <SubmissionEditor sub={sub} onSave={handleSaveEdit} onCancel={() => setEditing(false)} />
+      )}
+
+      {!editing && fields.map(([label, value]) =>
+        value ? (
+          <div key={label} className="submission-field">
+            <strong>{label}</strong>
+            <span> {value}</span>
+          </div>
+        ) : null
+      )}
+
+      {editing ? null : typeof sub.lat === 'number' && typeof sub.lng === 'number' ? (
+        <div className="submission-field">
+          <strong>Pin</strong>
+          <span> {sub.lat.toFixed(5)}, {sub.lng.toFixed(5)}</span>
+          <PinPreview lat={sub.lat} lng={sub.lng} />
+        </div>
+      ) : (
+        <div className="submission-field">
+          <strong>Pin</strong>
+          <span> Not set</span>
+        </div>
+      )}
+
+      {!editing && Array.isArray(sub.tags) && sub.tags.length > 0 && (
+        <div className="submission-field">
+          <strong>Tags</strong>
+          <div className="submission-tags">
+            {sub.tags.map((tag) => (
+              <span key={tag} className="submission-tag">{tag}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {originalChanges.length > 0 && (
+        <div className="submission-original">
+          <button type="button" className="link-btn" onClick={() => setShowOriginal((v) => !v)}>
+            {showOriginal ? 'Hide submitted values' : `Show submitted values (${originalChanges.length} changed)`}
+          </button>
+          {showOriginal &&
+            originalChanges.map(([label, value]) => (
+              <div key={label} className="submission-field">
+                <strong>{label}</strong>
+                <span> {value || '(empty)'}</span>
+              </div>
+            ))}
+        </div>
+      )}
+
+      {sub.status === 'rejected' && sub.rejection_reason && (
+        <div className="submission-field">
+          <strong>Rejected</strong>
+          <span>
+            {' '}
+            {getRejectionReason(sub.rejection_reason)?.label ?? sub.rejection_reason}
+            {sub.rejection_note && ` — ${sub.rejection_note}`}
+          </span>
+        </div>
+      )}
+
+      {status === 'pending' && rejectFormOpen && (
+        <RejectForm onSubmit={(rejection) => onReject(sub, rejection)} onCancel={onCloseReject} />
+      )}
+
+      {status === 'pending' && !editing && !rejectFormOpen && (
+        <div className="submission-actions">
+          <button className="approve-btn" disabled={approving} onClick={handleApprove}>
+            {approving ? 'Approving…' : 'Approve'}
+          </button>
+          <button className="reject-btn" disabled={approving} onClick={() => onOpenReject(sub)}>
+            Reject
+          </button>
+          <button className="reject-btn" disabled={approving} onClick={() => setEditing(true)}>
+            Edit
+          </button>
+        </div>
+      )}
+
+      <style jsx>{`
+        .submission-card { background: #fff; border: 1px solid #eee; border-radius: 12px; padding: 1.25rem; margin-bottom: 1rem; scroll-margin: 1rem; }
+        .submission-card.focused { border-color: #111; box-shadow: 0 0 0 1px #111; }
+        .submission-card.selected { background: #f7f9ff; }
+        .submission-title { display: flex; align-items: center; gap: 0.6rem; margin-bottom: 0.25rem; }
+        .submission-title input { width: 16px; height: 16px; }
+        .submission-card h3 { margin: 0; font-size: 1.1rem; }
+        .submission-meta { font-size: 0.85rem; color: #666; margin-bottom: 0.75rem; }
+        .duplicate-warning { background: #fff3cd; color: #856404; border-radius: 8px; padding: 0.6rem 0.9rem; margin-bottom: 0.75rem; font-size: 0.85rem; }
+        .duplicate-warning ul { margin: 0.25rem 0 0; padding-left: 1.1rem; }
+        .duplicate-warning a { color: inherit; }
+        .duplicate-reason { opacity: 0.8; }
+        .submission-field { margin-bottom: 0.5rem; font-size: 0.9rem; line-height: 1.4; }
+        .submission-field strong { display: inline-block; min-width: 90px; color: #444; vertical-align: top; }
+        .submission-field span { white-space: pre-line; }
+        .submission-tags { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 0.25rem; }
+        .submission-tag { background: #f0f0f0; border-radius: 20px; padding: 2px 10px; font-size: 0.8rem; color: #444; }
+        .submission-actions { display: flex; gap: 0.75rem; margin-top: 1rem; padding-top: 1rem; border-top: 1px solid #f0f0f0; }
+        .submission-original { margin-top: 0.5rem; padding: 0.5rem 0.75rem; background: #fafafa; border-radius: 8px; }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+'use client';
+
+import { useState } from 'react';
+import PinPreview from '@/components/PinPreview';
+import { validateSubmissionEdit, PLACE_CATEGORIES } from '@/lib/validator';
+import { normalizeOpeningHours } from '@/lib/hours';
+import { geocodeAddress } from '@/lib/geocoder';
+
+function toFormValues(sub) {
+  return {
+    name: sub.name ?? '',
+    category: sub.category ?? '',
+    address: sub.address ?? '',
+    lat: sub.lat ?? '',
+    lng: sub.lng ?? '',
+    website: sub.website ?? '',
+    pop_up: sub.pop_up ?? '',
+    tags: Array.isArray(sub.tags) ? sub.tags.join(', ') : '',
+    opening_hours: sub.opening_hours ?? '',
+    photos: Array.isArray(sub.photos) ? sub.photos.join('\n') : '',
+  };
+}
+
+/**
+ * Inline edit form for a pending submission, used on the admin queue.
+ * @param {object} props
+ * @param {object} props.sub - place_submissions row
+ * @param {(changes: object) => Promise<void>} props.onSave - Receives validated columns
+ * @param {() => void} props.onCancel
+ */
+export default function SubmissionEditor({ sub, onSave, onCancel }) {
+  const [values, setValues] = useState(() => toFormValues(sub));
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [locating, setLocating] = useState(false);
+
+  const lat = Number(values.lat);
+  const lng = Number(values.lng);
+  const hasPin = values.lat !== '' && values.lng !== '' && isFinite(lat) && isFinite(lng);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function handlePinMove(coords) {
+    setValues((prev) => ({ ...prev, lat: coords.lat.toFixed(6), lng: coords.lng.toFixed(6) }));
+  }
+
+  async function handleLocate() {
+    setError('');
+    setLocating(true);
+    try {
+      const result = await geocodeAddress(values.address);
+      if (!result) throw new Error("Couldn't find that address.");
+      handlePinMove(result);
+    } catch (err) {
+      setError(err.message || 'Address lookup failed.');
+    } finally {
+      setLocating(false);
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    try {
+      const changes = validateSubmissionEdit(values);
+      changes.opening_hours = normalizeOpeningHours(changes.opening_hours);
+      await onSave(changes);
+    } catch (err) {
+      setError(err.message || 'Unable to save changes.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="submission-editor" onSubmit={handleSubmit}>
+      {error && <div className="editor-error">{error}</div>}
+
+      <label>
+        Name
+        <input name="name" value={values.name} onChange={handleChange} maxLength={200} required />
+      </label>
+
+      <label>
+        Category
+        <select name="category" value={values.category} onChange={handleChange} required>
+          <option value="">Select a category…</option>
+          {PLACE_CATEGORIES.map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+          {values.category && !PLACE_CATEGORIES.includes(values.category) && (
+            <option value={values.category}>{values.category}</option>
+          )}
+        </select>
+      </label>
+
+      <label>
+        Address
+        <input name="address" value={values.address} onChange={handleChange} required />
+      </label>
+
+      <div className="editor-row">
+        <label>
+          Latitude
+          <input name="lat" inputMode="decimal" value={values.lat} onChange={handleChange} />
+        </label>
+        <label>
+          Longitude
+          <input name="lng" inputMode="decimal" value={values.lng} onChange={handleChange} />
+        </label>
+        <button type="button" className="editor-secondary" disabled={locating} onClick={handleLocate}>
+          {locating ? 'Finding…' : 'Find from address'}
+        </button>
+      </div>
+      {hasPin && <PinPreview lat={lat} lng={lng} onMove={handlePinMove} />}
+
+      <label>
+        Website
+        <input name="website" value={values.website} onChange={handleChange} />
+      </label>
+
+      <label>
+        Description
+        <textarea name="pop_up" rows={3} value={values.pop_up} onChange={handleChange} maxLength={200} />
+      </label>
+
+      <label>
+        Tags <span className="editor-hint">comma separated</span>
+        <input name="tags" value={values.tags} onChange={handleChange} />
+      </label>
+
+      <label>
+        Opening hours
+        <textarea name="opening_hours" rows={4} value={values.opening_hours} onChange={handleChange} />
+      </label>
+
+      <label>
+        Photos <span className="editor-hint">one URL per line</span>
+        <textarea name="photos" rows={3} value={values.photos} onChange={handleChange} />
+      </label>
+
+      <div className="editor-actions">
+        <button type="submit" className="editor-primary" disabled={saving}>
+          {saving ? 'Saving…' : 'Save changes'}
+        </button>
+        <button type="button" className="editor-secondary" disabled={saving} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+
+      <style jsx>{`
+        .submission-editor { display: flex; flex-direction: column; gap: 0.75rem; margin: 0.75rem 0; }
+        label { display: flex; flex-direction: column; gap: 4px; font-size: 0.85rem; color: #444; font-weight: 600; }
+        input, select, textarea { border: 1px solid #ddd; border-radius: 8px; padding: 8px 10px; font-size: 14px; font-family: inherit; font-weight: 400; color: #111; }
+        textarea { resize: vertical; }
+        .editor-row { display: flex; gap: 0.75rem; align-items: flex-end; flex-wrap: wrap; }
+        .editor-row label { flex: 1; min-width: 120px; }
+        .editor-hint { font-weight: 400; color: #999; }
+        .editor-error { background: #f8d7da; color: #721c24; border-radius: 8px; padding: 0.6rem 0.9rem; font-size: 0.85rem; }
+        .editor-actions { display: flex; gap: 0.75rem; }
+        .editor-primary { border: 1px solid #111; background: #111; color: #fff; padding: 8px 20px; border-radius: 12px; font-size: 14px; cursor: pointer; }
+        .editor-secondary { border: 1px solid #ddd; background: #fff; color: #111; padding: 8px 16px; border-radius: 12px; font-size: 14px; cursor: pointer; }
+        button:disabled { opacity: 0.5; cursor: not-allowed; }
+      `}</style>
+    </form>
+  );
+}
@@ -0,0 +1,533 @@
+'use client';
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import SubmissionCard from '@/components/admin/SubmissionCard';
+import RejectForm from '@/components/admin/RejectForm';
+import { supabase } from '@/lib/supabase';
+import { toSearchPattern } from '@/lib/sanitizer';
+import { invalidatePlaces } from '@/lib/places';
+import { findDuplicates } from '@/lib/duplicates';
+import { PLACE_CATEGORIES } from '@/lib/validator';
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const PAGE_SIZE = 20;
+// PostgREST returns at most 1000 rows per request
+const LOOKUP_PAGE_SIZE = 1000;
+
+// Every row of a query, a page at a time
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += LOOKUP_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + LOOKUP_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < LOOKUP_PAGE_SIZE) return rows;
+  }
+}
+
+function isTypingTarget(target) {
+  const tag = target?.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target?.isContentEditable;
+}
+
+/**
+ * Submission review queue: filters, pagination, bulk actions and keyboard
+ * shortcuts (j/k move, a approve, r reject, x select).
+ * @param {object} props
+ * @param {(text: string, isError: boolean) => void} props.showMessage
+ */
+export default function SubmissionsPanel({ showMessage }) {
+  const [currentStatus, setCurrentStatus] = useState('pending');
+  const [submissions, setSubmissions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [category, setCategory] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [focusedIndex, setFocusedIndex] = useState(0);
+  const [rejectFormId, setRejectFormId] = useState(null);
+  const [bulkRejectOpen, setBulkRejectOpen] = useState(false);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [duplicateLookup, setDuplicateLookup] = useState({ places: [], pending: [] });
+  const [lookupKey, setLookupKey] = useState(0);
+
+  // ── Search box (debounced) ────────────────────────────────────────────────
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // ── Load a page of submissions ────────────────────────────────────────────
+  useEffect(() => {
+    let cancelled = false;
+    async function loadSubmissions() {
+      setLoading(true);
+
+      let query = supabase
+        .from('place_submissions')
+        .select('*', { count: 'exact' })
+        .eq('status', currentStatus);
+
+      const pattern = toSearchPattern(search);
+      if (pattern) {
+        query = query.or(
+          `name.ilike.${pattern},address.ilike.${pattern},submitter_email.ilike.${pattern}`
+        );
+      }
+      if (category) query = query.eq('category', category);
+      if (dateFrom) query = query.gte('created_at', new Date(`${dateFrom}T00:00`).toISOString());
+      if (dateTo) {
+        const end = new Date(`${dateTo}T00:00`);
+        end.setDate(end.getDate() + 1);
+        query = query.lt('created_at', end.toISOString());
+      }
+
+      const from = page * PAGE_SIZE;
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (cancelled) return;
+      if (error) {
+        showMessage('Failed to load submissions: ' + error.message, true);
+        setSubmissions([]);
+        setTotal(0);
+      } else {
+        setSubmissions(data ?? []);
+        setTotal(count ?? 0);
+      }
+      setSelectedIds(new Set());
+      setFocusedIndex(0);
+      setRejectFormId(null);
+      setLoading(false);
+    }
+    loadSubmissions();
+    return () => {
+      cancelled = true;
+    };
+    // showMessage is recreated every render upstream; it doesn't affect the query
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentStatus, page, search, category, dateFrom, dateTo, reloadKey]);
+
+  // ── Places and the whole queue, for duplicate flags ──────────────────────
+  // Loaded once for the pending queue and again after approvals and
+  // rejections (lookupKey), so a place approved a moment ago flags its twins
+  const reviewingPending = currentStatus === 'pending';
+  useEffect(() => {
+    if (!reviewingPending) return;
+    let cancelled = false;
+    Promise.all([
+      fetchAllRows(() => supabase.from('places').select('id, name, address').order('id')).catch((err) => {
+        console.error('[admin] places lookup error:', err);
+        return [];
+      }),
+      fetchAllRows(() => supabase.rpc('get_pending_submission_names').order('id')).catch((err) => {
+        console.error('[admin] pending lookup error:', err);
+        return [];
+      }),
+    ]).then(([places, pending]) => {
+      if (cancelled) return;
+      setDuplicateLookup({
+        places,
+        pending: pending.map((s) => ({ ...s, pending: true })),
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [reviewingPending, lookupKey]);
+
+  // Pending cards are checked against the map and against every pending row
+  const duplicatesById = useMemo(() => {
+    if (currentStatus !== 'pending') return {};
+    const onPage = new Set(submissions.map((s) => s.id));
+    return Object.fromEntries(
+      submissions.map((sub) => [
+        sub.id,
+        [
+          ...findDuplicates(sub, duplicateLookup.places, { limit: 3 }),
+          ...findDuplicates(
+            sub,
+            // Rows still on this page are the current ones; the lookup can lag
+            duplicateLookup.pending.filter((p) => !onPage.has(p.id)).concat(
+              submissions.map((s) => ({ ...s, pending: true }))
+            ),
+            { limit: 3, excludeId: sub.id }
+          ),
+        ],
+      ])
+    );
+  }, [currentStatus, submissions, duplicateLookup]);
+
+  // Drops reviewed cards; refills the page from the server once it runs dry
+  function removeSubmissions(ids) {
+    if (ids.length) setLookupKey((k) => k + 1);
+    const gone = new Set(ids);
+    const remaining = submissions.filter((s) => !gone.has(s.id));
+    setSubmissions(remaining);
+    setTotal((t) => Math.max(0, t - gone.size));
+    setSelectedIds((prev) => new Set([...prev].filter((id) => !gone.has(id))));
+    setFocusedIndex((i) => Math.min(i, Math.max(0, remaining.length - 1)));
+    if (remaining.length === 0) {
+      setPage((p) => (p > 0 && total - gone.size <= p * PAGE_SIZE ? p - 1 : p));
+      setReloadKey((k) => k + 1);
+    }
+  }
+
+  // ── Notify submitter ──────────────────────────────────────────────────────
+  // Returns a short note for the status message; never throws, since the
+  // review itself has already gone through
+  async function notifySubmitter(sub) {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const res = await fetch(`/api/submissions/${encodeURIComponent(sub.id)}/notify`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${session?.access_token ?? ''}` },
+      });
+      const result = await res.json().catch(() => ({}));
+      if (!res.ok) return ` Email not sent: ${result.error || res.statusText}.`;
+      return result.sent ? ' Submitter notified.' : ' No submitter email to notify.';
+    } catch (err) {
+      return ` Email not sent: ${err.message || 'network error'}.`;
+    }
+  }
+
+  async function approveSubmission(sub) {
+    const { error } = await supabase.rpc('promote_submission', {
+      submission_id: sub.id,
+    });
+    if (error) throw error;
+    invalidatePlaces();
+    return notifySubmitter(sub);
+  }
+
+  async function rejectSubmission(sub, { reason, note }) {
+    const { error } = await supabase.rpc('reject_submission', {
+      submission_id: sub.id,
+      reason,
+      note: note || null,
+    });
+    if (error) throw error;
+    return notifySubmitter(sub);
+  }
+
+  // ── Approve ───────────────────────────────────────────────────────────────
+  async function handleApprove(sub) {
+    const duplicates = duplicatesById[sub.id] ?? [];
+    if (
+      duplicates.length > 0 &&
+      !window.confirm(`"${sub.name}" looks like a duplicate of "${duplicates[0].record.name}". Approve anyway?`)
+    ) {
+      return;
+    }
+    try {
+      const note = await approveSubmission(sub);
+      showMessage(`"${sub.name}" approved and published.${note}`, false);
+      removeSubmissions([sub.id]);
+    } catch (err) {
+      showMessage('Approve failed: ' + (err.message || 'Unknown error'), true);
+    }
+  }
+
+  // ── Reject ────────────────────────────────────────────────────────────────
+  async function handleReject(sub, rejection) {
+    try {
+      const note = await rejectSubmission(sub, rejection);
+      showMessage(`"${sub.name}" rejected.${note}`, false);
+      setRejectFormId(null);
+      removeSubmissions([sub.id]);
+    } catch (err) {
+      showMessage('Reject failed: ' + (err.message || 'Unknown error'), true);
+    }
+  }
+
+  // ── Edit ──────────────────────────────────────────────────────────────────
+  // Throws so the editor can show the error next to the form
+  async function handleSaveEdit(sub, changes) {
+    const { data, error } = await supabase.rpc('update_submission', {
+      submission_id: sub.id,
+      changes,
+    });
+    if (error) throw error;
+    setSubmissions((prev) => prev.map((s) => (s.id === sub.id ? { ...s, ...data } : s)));
+    showMessage(`"${data?.name ?? sub.name}" updated.`, false);
+  }
+
+  // ── Bulk actions ──────────────────────────────────────────────────────────
+  const selected = submissions.filter((s) => selectedIds.has(s.id));
+
+  // One at a time, so each submitter gets their own email and one failure
+  // doesn't stop the rest
+  async function runBulk(verb, action) {
+    setBulkBusy(true);
+    const done = [];
+    const failed = [];
+    for (const sub of selected) {
+      try {
+        await action(sub);
+        done.push(sub.id);
+      } catch (err) {
+        failed.push(`"${sub.name}" (${err.message || 'error'})`);
+      }
+    }
+    removeSubmissions(done);
+    setBulkBusy(false);
+    const summary = `${verb} ${done.length} of ${selected.length}.`;
+    showMessage(failed.length ? `${summary} Failed: ${failed.join(', ')}` : summary, failed.length > 0);
+  }
+
+  function handleBulkApprove() {
+    const flagged = selected.filter((s) => duplicatesById[s.id]?.length).length;
+    const prompt = flagged
+      ? `Approve ${selected.length} submissions? ${flagged} look like duplicates.`
+      : `Approve ${selected.length} submissions?`;
+    if (!window.confirm(prompt)) return;
+    runBulk('Approved', approveSubmission);
+  }
+
+  async function handleBulkReject(rejection) {
+    setBulkRejectOpen(false);
+    await runBulk('Rejected', (sub) => rejectSubmission(sub, rejection));
+  }
+
+  function toggleSelect(sub) {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(sub.id)) next.delete(sub.id);
+      else next.add(sub.id);
+      return next;
+    });
+  }
+
+  function toggleSelectAll() {
+    setSelectedIds((prev) =>
+      prev.size === submissions.length ? new Set() : new Set(submissions.map((s) => s.id))
+    );
+  }
+
+  // ── Keyboard shortcuts ────────────────────────────────────────────────────
+  const focusCard = useCallback(
+    (index) => {
+      const sub = submissions[index];
+      if (!sub) return;
+      setFocusedIndex(index);
+      document
+        .querySelector(`.submission-card[data-id="${sub.id}"]`)
+        ?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    },
+    [submissions]
+  );
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e.target)) return;
+      if (rejectFormId || bulkRejectOpen || bulkBusy) return;
+      const sub = submissions[focusedIndex];
+
+      switch (e.key) {
+        case 'j':
+          focusCard(Math.min(focusedIndex + 1, submissions.length - 1));
+          break;
+        case 'k':
+          focusCard(Math.max(focusedIndex - 1, 0));
+          break;
+        case 'a':
+          if (sub && currentStatus === 'pending') handleApprove(sub);
+          break;
+        case 'r':
+          if (sub && currentStatus === 'pending') setRejectFormId(sub.id);
+          break;
+        case 'x':
+          if (sub && currentStatus === 'pending') toggleSelect(sub);
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // ── Filters ───────────────────────────────────────────────────────────────
+  function changeFilter(setter) {
+    return (e) => {
+      setter(e.target.value);
+      setPage(0);
+    };
+  }
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const firstShown = total === 0 ? 0 : page * PAGE_SIZE + 1;
+  const lastShown = page * PAGE_SIZE + submissions.length;
+
+  // ── Render ────────────────────────────────────────────────────────────────
+  return (
+    <div>
+      {/* Tabs */}
+      <div className="admin-tabs">
+        {STATUSES.map((s) => (
+          <button
+            key={s}
+            className={`admin-tab${currentStatus === s ? ' active' : ''}`}
+            data-status={s}
+            onClick={() => {
+              setCurrentStatus(s);
+              setPage(0);
+            }}
+          >
+            {s.charAt(0).toUpperCase() + s.slice(1)}
+          </button>
+        ))}
+      </div>
+
+      {/* Filters */}
+      <div className="admin-filters">
+        <input
+          type="search"
+          placeholder="Search name, address or submitter"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <select value={category} onChange={changeFilter(setCategory)} aria-label="Category">
+          <option value="">All categories</option>
+          {PLACE_CATEGORIES.map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
+        <label>
+          From
+          <input type="date" value={dateFrom} max={dateTo || undefined} onChange={changeFilter(setDateFrom)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={dateTo} min={dateFrom || undefined} onChange={changeFilter(setDateTo)} />
+        </label>
+      </div>
+
+      {/* Count + bulk actions */}
+      <div className="admin-toolbar">
+        <div id="admin-count" className="admin-count">
+          {loading
+            ? 'Loading…'
+            : total === 0
+            ? `No ${currentStatus} submissions.`
+            : `${firstShown}–${lastShown} of ${total} ${currentStatus} submission${total !== 1 ? 's' : ''}.`}
+        </div>
+        {currentStatus === 'pending' && submissions.length > 0 && (
+          <div className="admin-bulk">
+            <label>
+              <input
+                type="checkbox"
+                checked={selectedIds.size > 0 && selectedIds.size === submissions.length}
+                onChange={toggleSelectAll}
+              />
+              Select page
+            </label>
+            {selected.length > 0 && (
+              <>
+                <button className="approve-btn" disabled={bulkBusy} onClick={handleBulkApprove}>
+                  {bulkBusy ? 'Working…' : `Approve ${selected.length}`}
+                </button>
+                <button className="reject-btn" disabled={bulkBusy} onClick={() => setBulkRejectOpen(true)}>
+                  Reject {selected.length}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {bulkRejectOpen && (
+        <RejectForm
+          submitLabel={`Reject ${selected.length} and notify`}
+          onSubmit={handleBulkReject}
+          onCancel={() => setBulkRejectOpen(false)}
+        />
+      )}
+
+      {currentStatus === 'pending' && submissions.length > 0 && (
+        <p className="admin-shortcuts">
+          Shortcuts: <kbd>j</kbd>/<kbd>k</kbd> move · <kbd>a</kbd> approve · <kbd>r</kbd> reject ·{' '}
+          <kbd>x</kbd> select
+        </p>
+      )}
+
+      {/* Cards */}
+      <div id="submissions-list">
+        {!loading && submissions.length === 0 && (
+          <div className="empty-state">
+            {search || category || dateFrom || dateTo
+              ? 'No submissions match these filters.'
+              : currentStatus === 'pending'
+              ? 'No submissions waiting for review.'
+              : `No ${currentStatus} submissions yet.`}
+          </div>
+        )}
+        {submissions.map((sub, index) => (
+          <SubmissionCard
+            key={sub.id}
+            sub={sub}
+            status={currentStatus}
+            duplicates={duplicatesById[sub.id] ?? []}
+            focused={index === focusedIndex}
+            selected={selectedIds.has(sub.id)}
+            rejectFormOpen={rejectFormId === sub.id}
+            onFocus={() => setFocusedIndex(index)}
+            onToggleSelect={toggleSelect}
+            onApprove={handleApprove}
+            onOpenReject={(s) => setRejectFormId(s.id)}
+            onCloseReject={() => setRejectFormId(null)}
+            onReject={handleReject}
+            onSaveEdit={handleSaveEdit}
+          />
+        ))}
+      </div>
+
+      {/* Pagination */}
+      {pageCount > 1 && (
+        <div className="admin-pagination">
+          <button className="reject-btn" disabled={page === 0 || loading} onClick={() => setPage((p) => p - 1)}>
+            Previous
+          </button>
+          <span>
+            Page {page + 1} of {pageCount}
+          </span>
+          <button
+            className="reject-btn"
+            disabled={page + 1 >= pageCount || loading}
+            onClick={() => setPage((p) => p + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      <style jsx>{`
+        .admin-tabs { display: flex; gap: 0.5rem; margin-bottom: 1rem; }
+        .admin-tab { border: 1px solid #ddd; background: #fff; color: #111; padding: 8px 16px; border-radius: 12px; font-size: 14px; cursor: pointer; }
+        .admin-tab.active { background: #111; color: #fff; border-color: #111; }
+        .admin-filters { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem; }
+        .admin-filters input, .admin-filters select { border: 1px solid #ddd; border-radius: 8px; padding: 7px 10px; font-size: 14px; font-family: inherit; }
+        .admin-filters input[type='search'] { flex: 1; min-width: 200px; }
+        .admin-filters label { display: flex; align-items: center; gap: 6px; font-size: 0.85rem; color: #666; }
+        .admin-toolbar { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 0.75rem; margin-bottom: 1rem; }
+        .admin-count { font-size: 0.85rem; color: #666; }
+        .admin-bulk { display: flex; align-items: center; gap: 0.5rem; }
+        .admin-bulk label { display: flex; align-items: center; gap: 6px; font-size: 0.85rem; margin-right: 0.5rem; }
+        .admin-shortcuts { font-size: 0.8rem; color: #999; margin: 0 0 1rem; }
+        .admin-shortcuts kbd { border: 1px solid #ddd; border-radius: 4px; padding: 0 4px; font-size: 0.75rem; background: #fafafa; }
+        .empty-state { text-align: center; padding: 3rem 1rem; color: #999; }
+        .admin-pagination { display: flex; justify-content: center; align-items: center; gap: 1rem; margin: 1.5rem 0; font-size: 0.85rem; color: #666; }
+      `}</style>
+    </div>
+  );
+}
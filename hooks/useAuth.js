@@ -1,33 +1,92 @@
 'use client';
 
-import { createContext, useContext, useEffect, useState } from 'react';
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
 import { supabase } from '@/lib/supabase';
-import { mapUser } from '@/lib/storage';
+import { mapUser, syncSavedData } from '@/lib/storage';
+import { syncSessionCookie, takeAuthRedirectError } from '@/lib/session';
+import { hasCapability, normalizeRole } from '@/lib/roles';
 
 const AuthContext = createContext(undefined);
 
 export function AuthProvider({ children }) {
   // undefined = loading, null = signed out, object = signed in
-  const [user, setUser] = useState(undefined);
+  const [sessionUser, setSessionUser] = useState(undefined);
+  // undefined until looked up for the current user
+  const [role, setRole] = useState(undefined);
 
   useEffect(() => {
     supabase.auth.getSession().then(({ data: { session } }) => {
-      setUser(session?.user ? mapUser(session.user) : null);
+      syncSessionCookie(session);
+      setSessionUser(session?.user ? mapUser(session.user) : null);
     });
 
     const {
       data: { subscription },
-    } = supabase.auth.onAuthStateChange((_event, session) => {
-      setUser(session?.user ? mapUser(session.user) : null);
+    } = supabase.auth.onAuthStateChange((event, session) => {
+      syncSessionCookie(session);
+      const mapped = session?.user ? mapUser(session.user) : null;
+      setSessionUser(mapped);
+      // First sync after login also moves any old localStorage saves up
+      if (event === 'SIGNED_IN' && mapped) {
+        syncSavedData(mapped).catch((err) => console.error('[saved] sync failed:', err));
+      }
     });
 
     return () => subscription.unsubscribe();
   }, []);
 
+  // ── Role ──────────────────────────────────────────────────────────────────
+  const userId = sessionUser?.id;
+  useEffect(() => {
+    setRole(undefined);
+    if (!userId) return;
+    let cancelled = false;
+    supabase.rpc('current_user_role').then(({ data, error }) => {
+      if (cancelled) return;
+      if (error) console.error('[auth] role lookup failed:', error);
+      setRole(normalizeRole(data));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const user = useMemo(
+    () => (sessionUser ? { ...sessionUser, role } : sessionUser),
+    [sessionUser, role]
+  );
+
   return <AuthContext.Provider value={user}>{children}</AuthContext.Provider>;
 }
 
-/** Returns the mapped user object, null (signed out), or undefined (loading). */
+/**
+ * Returns the mapped user object, null (signed out), or undefined (loading).
+ * Signed-in users carry `role`, which is undefined until it has loaded.
+ */
 export function useAuth() {
   return useContext(AuthContext);
 }
+
+/**
+ * Whether the current user has a capability from lib/roles.js.
+ * @param {string} capability
+ * @returns {boolean | undefined} undefined while the user or their role is loading
+ */
+export function useCan(capability) {
+  const user = useAuth();
+  if (user === undefined || (user && user.role === undefined)) return undefined;
+  return Boolean(user) && hasCapability(user.role, capability);
+}
+
+/**
+ * Error from a failed magic link, OAuth or confirmation redirect (expired,
+ * reused, cancelled), read from the URL once on mount.
+ * @returns {string | null}
+ */
+export function useAuthRedirectError() {
+  const [error, setError] = useState(null);
+  useEffect(() => {
+    setError(takeAuthRedirectError());
+  }, []);
+  return error;
+}
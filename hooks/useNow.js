@@ -0,0 +1,15 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+/** Current time, refreshed every `intervalMs` so open/closed state doesn't go stale. */
+export function useNow(intervalMs = 60 * 1000) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+}
@@ -0,0 +1,44 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import { isListedPlace, loadPlaces, onPlacesChange } from '@/lib/places';
+
+const NO_PLACES = [];
+
+/**
+ * Published places from the shared cache (lib/places.js), kept up to date
+ * when a background refresh lands.
+ * @param {{ includeClosed?: boolean }} [options] - Closed places are left out
+ *   unless asked for, e.g. to resolve saved places
+ * @returns {{ places: object[], loading: boolean, error: Error | null }}
+ */
+export function usePlaces({ includeClosed = false } = {}) {
+  const [places, setPlaces] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const unsubscribe = onPlacesChange((fresh) => {
+      if (!cancelled) setPlaces(fresh);
+    });
+    loadPlaces()
+      .then((loaded) => {
+        if (!cancelled) setPlaces(loaded);
+      })
+      .catch((err) => {
+        console.error('[places] load failed:', err);
+        if (!cancelled) setError(err);
+      });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const visible = useMemo(() => {
+    if (!places) return NO_PLACES;
+    return includeClosed ? places : places.filter(isListedPlace);
+  }, [places, includeClosed]);
+
+  return { places: visible, loading: places === null && !error, error };
+}
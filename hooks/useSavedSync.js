@@ -0,0 +1,24 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { onSavedChange, syncSavedData } from '@/lib/storage';
+
+/**
+ * Keeps a page in step with the user's saved places: pulls them from Supabase
+ * when the user changes and re-renders whenever the cached copy changes.
+ * Returns a counter that bumps on every change.
+ */
+export function useSavedSync(user) {
+  const [version, setVersion] = useState(0);
+  const userId = user?.id;
+
+  useEffect(() => onSavedChange(() => setVersion((v) => v + 1)), []);
+
+  useEffect(() => {
+    if (!userId) return;
+    syncSavedData(user).catch((err) => console.error('[saved] sync failed:', err));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userId]);
+
+  return version;
+}
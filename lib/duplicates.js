@@ -0,0 +1,195 @@
+// Duplicate detection for place submissions.
+//
+// Compares a name + address against existing places and pending submissions.
+// Used live on the submit form and to flag cards in the admin queue, so both
+// sides agree on what counts as "probably the same shop".
+//
+// Signals, strongest first:
+//   - same normalised name
+//   - very similar name, or one name containing the other ("Whaleys" /
+//     "Whaleys Bradford")
+//   - loosely similar name at the same postcode or street address
+//   - same street address, when the names share something or the postcode
+//     and house number match too (markets, shared buildings and bare "London"
+//     addresses hold many different shops)
+
+// Words that don't tell two shops apart ("Whaleys Ltd" vs "Whaleys")
+const NAME_NOISE = new Set(['the', 'and', 'ltd', 'limited', 'llp', 'plc', 'co', 'inc', 'uk']);
+
+// Full UK postcode, e.g. "E1 6AN", "SW1A 1AA", "BD7 1AD"
+export const POSTCODE_PATTERN = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+
+export const DUPLICATE_THRESHOLD = 0.6;
+
+// Name similarity an address match needs before it counts on its own
+const ADDRESS_NAME_HINT = 0.35;
+
+function foldText(value) {
+  return (value ?? '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Lower-cased, accent- and punctuation-free name without company suffixes.
+ *
+ * @example
+ * normalizeName("The Cloth House Ltd.") // "cloth house"
+ */
+export function normalizeName(name) {
+  return foldText(name)
+    .split(' ')
+    .filter((word) => word && !NAME_NOISE.has(word))
+    .join(' ');
+}
+
+/**
+ * Pulls a UK postcode out of an address, formatted "OUT IN".
+ *
+ * @returns {string|null}
+ *
+ * @example
+ * extractPostcode('123 High St, London e16an') // "E1 6AN"
+ */
+export function extractPostcode(address) {
+  const match = (address ?? '').toString().match(POSTCODE_PATTERN);
+  return match ? `${match[1]} ${match[2]}`.toUpperCase() : null;
+}
+
+// Street part of an address: before the postcode, without town/postcode noise
+function normalizeStreet(address) {
+  const text = (address ?? '').toString().replace(POSTCODE_PATTERN, ' ');
+  const firstPart = text.split(',')[0];
+  return foldText(firstPart)
+    .replace(/\bstreet\b/g, 'st')
+    .replace(/\broad\b/g, 'rd')
+    .replace(/\bavenue\b/g, 'ave')
+    .replace(/\blane\b/g, 'ln');
+}
+
+// House or unit number from the street part ("47 Berwick St" → "47")
+function extractHouseNumber(address) {
+  const firstPart = (address ?? '').toString().replace(POSTCODE_PATTERN, ' ').split(',')[0];
+  const match = firstPart.match(/\b(\d+[a-z]?)\b/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) ?? 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient over character bigrams, 0 (nothing shared) to 1 (same).
+ * Forgiving of typos, spacing and word order changes.
+ */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let total = 0;
+  let shared = 0;
+  gramsA.forEach((count, gram) => {
+    total += count;
+    shared += Math.min(count, gramsB.get(gram) ?? 0);
+  });
+  gramsB.forEach((count) => {
+    total += count;
+  });
+  return total ? (2 * shared) / total : 0;
+}
+
+// Every word of the shorter name appears in the longer one
+function containment(a, b) {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (shorter.length < 5) return 0;
+  const words = new Set(longer.split(' '));
+  return shorter.split(' ').every((word) => words.has(word)) ? 0.8 : 0;
+}
+
+/**
+ * Scores how likely two records describe the same place.
+ *
+ * @param {{ name?: string, address?: string }} candidate
+ * @param {{ name?: string, address?: string }} record
+ * @returns {{ score: number, reasons: string[] }}
+ */
+export function scoreDuplicate(candidate, record) {
+  const nameA = normalizeName(candidate.name);
+  const nameB = normalizeName(record.name);
+  const nameScore = Math.max(similarity(nameA, nameB), containment(nameA, nameB));
+
+  const postcodeA = extractPostcode(candidate.address);
+  const postcodeB = extractPostcode(record.address);
+  const samePostcode = Boolean(postcodeA && postcodeA === postcodeB);
+
+  const streetA = normalizeStreet(candidate.address);
+  const streetB = normalizeStreet(record.address);
+  const sameStreet = streetA.length >= 5 && similarity(streetA, streetB) >= 0.85;
+  const houseNumber = extractHouseNumber(candidate.address);
+  const sameBuilding =
+    samePostcode && Boolean(houseNumber) && houseNumber === extractHouseNumber(record.address);
+  const sameAddress = sameStreet && (nameScore >= ADDRESS_NAME_HINT || sameBuilding);
+
+  const reasons = [];
+  let score = 0;
+
+  if (nameA && nameA === nameB) {
+    score = 1;
+    reasons.push('Same name');
+  } else if (nameScore >= 0.8) {
+    score = nameScore;
+    reasons.push('Similar name');
+  } else if (nameScore >= 0.5 && (samePostcode || sameStreet)) {
+    score = nameScore + 0.2;
+    reasons.push('Similar name');
+  }
+
+  if (samePostcode) {
+    reasons.push(`Same postcode (${postcodeA})`);
+    if (score) score += 0.1;
+  }
+  if (sameAddress) {
+    reasons.push('Same address');
+    score = Math.max(score + 0.1, 0.75);
+  }
+
+  if (!score) return { score: 0, reasons: [] };
+  return { score: Math.min(score, 1), reasons };
+}
+
+/**
+ * Likely duplicates of `candidate` among `records`, best match first.
+ *
+ * @param {{ name?: string, address?: string }} candidate
+ * @param {Array<{ id: string, name?: string, address?: string }>} records
+ * @param {{ threshold?: number, limit?: number, excludeId?: string }} [options]
+ * @returns {Array<{ record: object, score: number, reasons: string[] }>}
+ *
+ * @example
+ * findDuplicates({ name: 'Whaleys', address: 'Harris Court, BD7 4EQ' }, places)
+ */
+export function findDuplicates(candidate, records, options = {}) {
+  const { threshold = DUPLICATE_THRESHOLD, limit = 5, excludeId } = options;
+  if (normalizeName(candidate?.name).length < 3 && !extractPostcode(candidate?.address)) {
+    return [];
+  }
+  return (records ?? [])
+    .filter((record) => record && String(record.id) !== String(excludeId))
+    .map((record) => ({ record, ...scoreDuplicate(candidate, record) }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
@@ -1,5 +1,7 @@
 // Ported from src/filters.js — no changes needed
 
+import { getOpenStatus, isOpenAtTime } from './hours';
+
 export function getCategoriesFromPlaces(places, options = {}) {
   const { includeOnline = false } = options;
   const set = new Set();
@@ -33,3 +35,20 @@ export function isOnlinePlace(place) {
     return true;
   return false;
 }
+
+/**
+ * openFilter is null (no filter), { type: 'now' }, or
+ * { type: 'at', day: 'sat', time: '14:00' } in the place's local time.
+ * Places whose hours can't be read are hidden while a filter is on.
+ */
+export function filterPlacesByOpening(places, openFilter, now = new Date()) {
+  if (!openFilter) return places;
+  if (openFilter.type === 'now') {
+    return places.filter(
+      (p) => getOpenStatus(p.opening_hours, { timeZone: p.timezone, now })?.state === 'open'
+    );
+  }
+  const [h, m] = (openFilter.time || '').split(':').map((n) => parseInt(n, 10));
+  if (!openFilter.day || isNaN(h) || isNaN(m)) return places;
+  return places.filter((p) => isOpenAtTime(p.opening_hours, openFilter.day, h * 60 + m) === true);
+}
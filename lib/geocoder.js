@@ -0,0 +1,75 @@
+// Address → coordinates lookup, behind a swappable geocoder.
+//
+// A geocoder is any object with `geocode(address, { signal })` resolving to
+// `{ lat, lng, label }` or null when nothing matches. The Mapbox one is used
+// by default; set NEXT_PUBLIC_GEOCODER=stub (or call setGeocoder) to use the
+// offline stub, which needs no token and always returns the same pin for the
+// same address.
+
+const LONDON = { lat: 51.5072, lng: -0.1276 };
+
+export const mapboxGeocoder = {
+  async geocode(address, { signal } = {}) {
+    const token = process.env.NEXT_PUBLIC_MAPBOX_TOKEN;
+    if (!token) throw new Error('Map search is not configured.');
+    const params = new URLSearchParams({
+      access_token: token,
+      limit: '1',
+      types: 'address,poi,postcode,place',
+      country: 'gb',
+      proximity: `${LONDON.lng},${LONDON.lat}`,
+    });
+    const res = await fetch(
+      `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(address)}.json?${params}`,
+      { signal }
+    );
+    if (!res.ok) throw new Error('Address lookup failed. You can still place the pin by hand.');
+    const data = await res.json();
+    const feature = data.features?.[0];
+    if (!feature) return null;
+    const [lng, lat] = feature.center;
+    return { lat, lng, label: feature.place_name };
+  },
+};
+
+/**
+ * Deterministic offline geocoder: hashes the address to a point in central
+ * London. Pass `fixtures` ({ [address]: { lat, lng } }) for exact answers.
+ */
+export function createStubGeocoder(fixtures = {}) {
+  return {
+    async geocode(address) {
+      const key = address.trim().toLowerCase();
+      const fixture = Object.entries(fixtures).find(([k]) => k.toLowerCase() === key);
+      if (fixture) return { ...fixture[1], label: fixture[0] };
+      let hash = 0;
+      for (const ch of key) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+      const spread = (n) => ((n % 1000) / 1000) * 0.1 - 0.05;
+      return {
+        lat: LONDON.lat + spread(Math.abs(hash)),
+        lng: LONDON.lng + spread(Math.abs(hash >> 10)),
+        label: address.trim(),
+      };
+    },
+  };
+}
+
+let activeGeocoder =
+  process.env.NEXT_PUBLIC_GEOCODER === 'stub' ? createStubGeocoder() : mapboxGeocoder;
+
+/** Replaces the geocoder used by geocodeAddress (e.g. with a stub). */
+export function setGeocoder(geocoder) {
+  activeGeocoder = geocoder ?? mapboxGeocoder;
+}
+
+/**
+ * Looks up an address with the active geocoder.
+ * @param {string} address
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ lat: number, lng: number, label: string } | null>}
+ */
+export async function geocodeAddress(address, options = {}) {
+  const query = address?.trim();
+  if (!query || query.length < 5) return null;
+  return activeGeocoder.geocode(query, options);
+}
@@ -1,15 +1,456 @@
 /**
  * Shared opening hours utilities.
  *
- * parseOpeningHours — splits a raw opening hours string into [{day, time}] rows.
- *   Identical to the original parser in app/place/[id]/page.js, moved here so
- *   list, search and modal can share it without duplication.
+ * parseSchedule — turns free-text hours into a weekly schedule:
+ *   { days: { mon: [{ open, close }], …, sun: [] }, notes: ['Bank holidays vary'] }
+ *   Times are minutes from midnight of that day. A span past midnight keeps its
+ *   start day and runs past 1440 (Sat 22:00–02:00 → { open: 1320, close: 1560 }).
+ *   An empty array means closed; a missing day means we don't know.
+ *   Days may come before or after their hours ("Mon-Sat 10-6", "10-6 Mon-Sat").
+ *   ambiguous is true when a time had to be guessed ("10-6" without am/pm).
+ *   Returns null when no day could be read at all.
  *
- * getOpenStatus — returns 'open' | 'closed' | null.
+ * serializeSchedule — writes a schedule back to `Day<TAB>time` display text
+ *   that parseSchedule reads again unchanged.
+ *
+ * parseOpeningHours — display rows [{day, time}] for the place page. Built on
+ *   parseSchedule; text we can't read falls back to one row per line.
+ *
+ * getOpenStatus — returns { state, closingSoon, next, label } or null.
+ *   state is 'open' | 'closed'; next is the upcoming open/close transition;
+ *   label is ready to show ("Closes in 30 min", "Opens at 10:00", "Opens Monday").
  *   null means "no parseable hours data — don't show any indicator".
+ *   Evaluated in the place's time zone (Europe/London unless the place says
+ *   otherwise), not the viewer's.
+ *
+ * normalizeOpeningHours — rewrites contributor-typed hours as serializeSchedule
+ *   text when every line parses without guessing; otherwise just tidies them
+ *   into `Day<TAB>time` rows.
  */
 
-export function parseOpeningHours(raw) {
+// Monday-first, the order hours are written and displayed in
+export const WEEK_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Date#getDay() order
+const JS_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const DAY_NAMES = {
+  mon: 'Monday',
+  tue: 'Tuesday',
+  wed: 'Wednesday',
+  thu: 'Thursday',
+  fri: 'Friday',
+  sat: 'Saturday',
+  sun: 'Sunday',
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Plurals too: "closed Sundays"
+const DAY_WORD =
+  '(mon(?:day)?|tue(?:s(?:day)?)?|wed(?:s|nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)s?\\.?';
+const DAY_GROUP_WORD = '(daily|every\\s*day|7\\s*days(?:\\s*a\\s*week)?|weekdays|weekends?)';
+
+const DAY_SINGLE = new RegExp(`^${DAY_WORD}(?![a-z])`);
+const DAY_RANGE = new RegExp(
+  `^${DAY_WORD}\\s*(?:-|to|through|thru|till|until)\\s*${DAY_WORD}(?![a-z])`
+);
+const DAY_GROUP = new RegExp(`^${DAY_GROUP_WORD}(?![a-z])`);
+const DAY_SEPARATOR = /^\s*(?:,|&|\/|\+|\band\b)\s*/;
+
+const CLOCK = '(?:\\d{1,2}(?:[:.]\\d{2})?\\s*(?:[ap]\\.?m\\.?)?|noon|midday|midnight)';
+const TIME_RANGE = new RegExp(
+  `^(?:(?:open|from)\\s+)?(${CLOCK})\\s*(?:-|to|till|until)\\s*(${CLOCK})(?![a-z\\d])`
+);
+const TIME_SEPARATOR = /^\s*(?:,|&|\/|\+|\band\b)\s*/;
+const CLOSED = /^(?:clos(?:ed|e)?|n\/a)\b/;
+const ALL_DAY = /^(?:open\s+)?(?:24\s*h(?:ou)?rs?|24\/7|all day)\b/;
+
+// Joining words that carry no meaning of their own ("Open Mon-Fri", "closed on Sundays")
+const FILLER_WORDS = new Set(['open', 'opening', 'hours', 'from', 'and', 'on', 'at', '&', '+', '/', '-']);
+const TOKEN_SEPARATOR = /^[\s,;:()]+/;
+
+// ── Parsing ──────────────────────────────────────────────────────────────────
+
+function dayKey(word) {
+  return word.slice(0, 3);
+}
+
+function expandDayRange(from, to) {
+  const start = WEEK_DAYS.indexOf(from);
+  const end = WEEK_DAYS.indexOf(to);
+  const days = [];
+  for (let i = start; ; i = (i + 1) % 7) {
+    days.push(WEEK_DAYS[i]);
+    if (i === end) break;
+  }
+  return days;
+}
+
+function expandDayGroup(word) {
+  if (word.startsWith('weekday')) return WEEK_DAYS.slice(0, 5);
+  if (word.startsWith('weekend')) return ['sat', 'sun'];
+  return [...WEEK_DAYS];
+}
+
+/**
+ * Reads the day expression at the start of a segment ("Mon–Fri", "Mon, Wed &
+ * Fri", "Weekends"). Returns { days, rest } or null when it doesn't start with one.
+ */
+function parseDayPrefix(text) {
+  let rest = text;
+  const days = new Set();
+
+  for (;;) {
+    let match;
+    if ((match = rest.match(DAY_GROUP))) {
+      expandDayGroup(match[1]).forEach((d) => days.add(d));
+    } else if ((match = rest.match(DAY_RANGE))) {
+      expandDayRange(dayKey(match[1]), dayKey(match[2])).forEach((d) => days.add(d));
+    } else if ((match = rest.match(DAY_SINGLE))) {
+      days.add(dayKey(match[1]));
+    } else {
+      break;
+    }
+    rest = rest.slice(match[0].length);
+
+    // Only swallow a separator when another day follows it
+    const sep = rest.match(DAY_SEPARATOR);
+    if (!sep) break;
+    const after = rest.slice(sep[0].length);
+    if (!DAY_GROUP.test(after) && !DAY_SINGLE.test(after)) break;
+    rest = after;
+  }
+
+  if (!days.size) return null;
+  return { days: Array.from(days), rest: rest.replace(/^\s*:?\s*/, '') };
+}
+
+function readClock(text) {
+  const t = text.replace(/\s+/g, '').replace(/\./g, (dot, i, s) => (/\d/.test(s[i + 1]) ? ':' : ''));
+  if (t === 'noon' || t === 'midday') return { hour: 12, minute: 0, meridiem: 'pm', padded: false };
+  if (t === 'midnight') return { hour: 0, minute: 0, meridiem: null, padded: true, midnight: true };
+  const match = t.match(/^(\d{1,2})(?::(\d{2}))?([ap]m)?$/);
+  if (!match) return null;
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2] ?? '0', 10);
+  const meridiem = match[3] ?? null;
+  if (minute > 59) return null;
+  if (meridiem ? hour < 1 || hour > 12 : hour > 24) return null;
+  return {
+    hour,
+    minute,
+    meridiem,
+    padded: match[1].length === 2 && match[1][0] === '0',
+    // "10:00", the way serializeSchedule writes times
+    clock24: match[1].length === 2 && match[2] !== undefined,
+  };
+}
+
+function clockMinutes({ hour, minute }, meridiem) {
+  let h = hour;
+  if (meridiem === 'pm' && h < 12) h += 12;
+  if (meridiem === 'am' && h === 12) h = 0;
+  return h * 60 + minute;
+}
+
+// No am/pm and nothing 24-hour about the range: "10-6", "12-5", "9:30-11"
+function isTwelveHourGuess(open, close) {
+  return (
+    !(open.clock24 && close.clock24) &&
+    !open.meridiem &&
+    !close.meridiem &&
+    !open.padded &&
+    !close.padded &&
+    !close.midnight &&
+    open.hour >= 1 &&
+    open.hour <= 12 &&
+    close.hour >= 1 &&
+    close.hour <= 12
+  );
+}
+
+/**
+ * One "open-close" range in minutes. guessed is set when the reading relied
+ * on shop-hours conventions rather than what was written.
+ */
+function toInterval(openText, closeText) {
+  const open = readClock(openText);
+  const close = readClock(closeText);
+  if (!open || !close) return null;
+
+  let closeMins = close.midnight ? MINUTES_PER_DAY : clockMinutes(close, close.meridiem);
+  let openMins = clockMinutes(open, open.meridiem);
+
+  // "9-5pm", "1-5pm": borrow the closing meridiem when it gives a sensible range
+  if (!open.meridiem && close.meridiem && open.hour <= 12) {
+    const borrowed = clockMinutes(open, close.meridiem);
+    if (borrowed < closeMins) openMins = borrowed;
+  }
+
+  // "10-6", "12-5": shop hours written without am/pm mean an afternoon
+  // close; a bare 12 is noon
+  if (
+    !open.meridiem &&
+    !close.meridiem &&
+    !close.padded &&
+    !close.midnight &&
+    open.hour <= 12 &&
+    close.hour < 12 &&
+    closeMins <= openMins
+  ) {
+    closeMins += 12 * 60;
+  }
+
+  // Anything still ending before it starts runs past midnight
+  if (closeMins <= openMins) closeMins += MINUTES_PER_DAY;
+  if (closeMins - openMins > MINUTES_PER_DAY) return null;
+
+  return { open: openMins, close: closeMins, guessed: isTwelveHourGuess(open, close) };
+}
+
+/**
+ * Reads the hours at the start of `text`: "closed", "24 hours", or one or
+ * more ranges ("10-1, 2-6"). Returns { intervals, length } ([] for closed)
+ * or null when the text doesn't start with hours. Sets state.guessed when
+ * any range had to be guessed.
+ */
+function readTimes(text, state) {
+  let match;
+  if ((match = text.match(CLOSED))) return { intervals: [], length: match[0].length };
+  if ((match = text.match(ALL_DAY))) {
+    return { intervals: [{ open: 0, close: MINUTES_PER_DAY }], length: match[0].length };
+  }
+
+  const intervals = [];
+  let length = 0;
+  while ((match = text.slice(length).match(TIME_RANGE))) {
+    const interval = toInterval(match[1], match[2]);
+    if (!interval) break;
+    if (interval.guessed) state.guessed = true;
+    // "9-1 & 2-5": a guessed second range follows on from the first
+    const prev = intervals[intervals.length - 1];
+    const shift = interval.guessed && prev && interval.open < prev.close && interval.close + 720 <= MINUTES_PER_DAY ? 720 : 0;
+    intervals.push({ open: interval.open + shift, close: interval.close + shift });
+    length += match[0].length;
+
+    // Only swallow a separator when another range follows it
+    const sep = text.slice(length).match(TIME_SEPARATOR);
+    if (!sep || !TIME_RANGE.test(text.slice(length + sep[0].length))) break;
+    length += sep[0].length;
+  }
+  if (!intervals.length) return null;
+  return { intervals: intervals.sort((a, b) => a.open - b.open), length };
+}
+
+function cleanLine(line) {
+  return line
+    .toLowerCase()
+    .replace(/[\u00a0\u202f\u2009\t]+/g, ' ')
+    .replace(/[\u2010-\u2015\u2212]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Splits a cleaned line into day, time and text tokens, in order:
+ * "9am-6pm mon-sat, closed sunday" →
+ *   time(9am-6pm) days(mon-sat) time(closed) days(sun)
+ */
+function tokenizeLine(line, state) {
+  const tokens = [];
+  let rest = line;
+  for (;;) {
+    rest = rest.replace(TOKEN_SEPARATOR, '');
+    if (!rest) break;
+
+    const prefix = parseDayPrefix(rest);
+    if (prefix) {
+      tokens.push({ type: 'days', days: prefix.days, text: rest.slice(0, rest.length - prefix.rest.length) });
+      rest = prefix.rest;
+      continue;
+    }
+
+    const times = readTimes(rest, state);
+    if (times) {
+      tokens.push({ type: 'times', intervals: times.intervals, text: rest.slice(0, times.length) });
+      rest = rest.slice(times.length);
+      continue;
+    }
+
+    const word = rest.match(/^[^\s,;:()]+/)[0];
+    rest = rest.slice(word.length);
+    if (FILLER_WORDS.has(word)) continue;
+    const last = tokens[tokens.length - 1];
+    if (last?.type === 'text') last.text += ` ${word}`;
+    else tokens.push({ type: 'text', text: word });
+  }
+  return tokens;
+}
+
+// The stretch of the original line a cleaned-up fragment came from, so notes
+// keep the contributor's capitals and punctuation
+function findOriginalText(original, fragment) {
+  const words = fragment.split(/[^a-z0-9]+/).filter(Boolean);
+  if (!words.length) return fragment;
+  const escaped = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const match = original.match(new RegExp(escaped.join('[^a-z0-9]+'), 'i'));
+  return match ? match[0] : fragment;
+}
+
+/**
+ * Parses free-text opening hours into a weekly schedule (see top of file).
+ * @param {string} raw
+ * @returns {{ days: Object<string, Array<{open: number, close: number}>>, notes: string[], ambiguous: boolean } | null}
+ */
+export function parseSchedule(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+
+  const days = {};
+  const notes = [];
+  const state = { guessed: false };
+  let pendingDays = null;
+
+  const lines = raw
+    .replace(/\r\n?/g, '\n')
+    .split(/[\n;|]+/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  lines.forEach((original) => {
+    const tokens = tokenizeLine(cleanLine(original), state);
+    const used = new Set();
+    let waitingDays = null; // days still looking for their hours: "Mon-Fri 9-5"
+    let waitingTimes = null; // hours still looking for their days: "9-5 Mon-Fri"
+
+    function apply(dayList, timesToken, ...sources) {
+      dayList.forEach((d) => { days[d] = timesToken.intervals; });
+      sources.forEach((token) => used.add(token));
+    }
+
+    tokens.forEach((token, index) => {
+      if (token.type === 'days') {
+        if (waitingTimes) {
+          apply(token.days, waitingTimes, waitingTimes, token);
+          waitingTimes = null;
+        } else {
+          waitingDays = token;
+        }
+      } else if (token.type === 'times') {
+        if (waitingDays) {
+          apply(waitingDays.days, token, waitingDays, token);
+          waitingDays = null;
+        } else if (index === 0 && pendingDays) {
+          // "Monday" on its own line, with the time on this one
+          apply(pendingDays.days, token, token);
+          used.add(pendingDays);
+          pendingDays = null;
+        } else {
+          waitingTimes = token;
+        }
+      } else {
+        // Text breaks the link between days and hours on either side of it
+        waitingDays = null;
+        waitingTimes = null;
+      }
+    });
+
+    const last = tokens[tokens.length - 1];
+    if (last && last === waitingDays && !used.has(last)) {
+      // "Monday" on its own line (or at the end of one), with the time on the next
+      pendingDays = last;
+      used.add(last);
+    }
+    if (waitingTimes && !Object.keys(days).length && waitingTimes.intervals.length) {
+      // A bare "10–6" or "Open 24 hours" with no days means every day
+      apply(WEEK_DAYS, waitingTimes, waitingTimes);
+    }
+
+    if (!used.size) {
+      notes.push(original);
+      return;
+    }
+    // Whatever couldn't be read stays as a note: "Bank holidays vary"
+    let group = [];
+    const flush = () => {
+      if (group.length) notes.push(findOriginalText(original, group.map((t) => t.text).join(' ')));
+      group = [];
+    };
+    tokens.forEach((token) => {
+      if (used.has(token)) flush();
+      else group.push(token);
+    });
+    flush();
+  });
+
+  if (!Object.keys(days).length) return null;
+  return { days, notes, ambiguous: state.guessed };
+}
+
+// ── Display ──────────────────────────────────────────────────────────────────
+
+export function formatTime(minutes) {
+  const m = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const h = Math.floor(m / 60);
+  return `${String(h).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+function formatIntervals(intervals) {
+  if (!intervals.length) return 'Closed';
+  if (intervals.length === 1 && intervals[0].open === 0 && intervals[0].close >= MINUTES_PER_DAY) {
+    return 'Open 24 hours';
+  }
+  return intervals.map(({ open, close }) => `${formatTime(open)}–${formatTime(close)}`).join(', ');
+}
+
+function dayRangeLabel(group) {
+  if (group.length === 7) return 'Daily';
+  if (group.length === 1) return DAY_NAMES[group[0]];
+  const first = DAY_NAMES[group[0]].slice(0, 3);
+  const last = DAY_NAMES[group[group.length - 1]].slice(0, 3);
+  return group.length === 2 ? `${first}, ${last}` : `${first}–${last}`;
+}
+
+/**
+ * Display rows for a schedule. Consecutive days with the same hours share a
+ * row ("Mon–Fri"); unknown days are left out; notes follow as time-less rows.
+ */
+export function scheduleToRows(schedule) {
+  if (!schedule) return [];
+  const rows = [];
+  let group = [];
+  let groupTime = null;
+
+  function flush() {
+    if (group.length) rows.push({ day: dayRangeLabel(group), time: groupTime });
+    group = [];
+    groupTime = null;
+  }
+
+  WEEK_DAYS.forEach((d) => {
+    const intervals = schedule.days[d];
+    if (!intervals) { flush(); return; }
+    const time = formatIntervals(intervals);
+    if (time !== groupTime) flush();
+    group.push(d);
+    groupTime = time;
+  });
+  flush();
+
+  (schedule.notes ?? []).forEach((note) => rows.push({ day: note, time: '' }));
+  return rows;
+}
+
+/** Writes a schedule back to `Day<TAB>time` lines. */
+export function serializeSchedule(schedule) {
+  return scheduleToRows(schedule)
+    .map(({ day, time }) => (time ? `${day}\t${time}` : day))
+    .join('\n');
+}
+
+// Line-by-line split for hours text parseSchedule can't read, so the place
+// page still shows whatever the contributor wrote.
+function splitHoursLines(raw) {
   const lines = raw.split(/\n+/).map((l) => l.trim()).filter(Boolean);
   const rows = [];
   lines.forEach((line, index) => {
@@ -31,51 +472,240 @@ export function parseOpeningHours(raw) {
   return rows;
 }
 
-export function getOpenStatus(openingHours) {
-  if (!openingHours) return null;
-  const rows = parseOpeningHours(openingHours);
-  if (!rows.length) return null;
+export function parseOpeningHours(raw) {
+  if (!raw) return [];
+  const schedule = parseSchedule(raw);
+  return schedule ? scheduleToRows(schedule) : splitHoursLines(raw);
+}
+
+// ── Open status ──────────────────────────────────────────────────────────────
 
-  const now = new Date();
-  const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const todayKey = dayNames[now.getDay()].slice(0, 3); // 'mon', 'tue', …
+function isOpenAt(schedule, dayIndex, minutes) {
+  const today = schedule.days[JS_DAYS[dayIndex]];
+  const yesterday = schedule.days[JS_DAYS[(dayIndex + 6) % 7]];
 
-  const todayRow = rows.find(({ day }) =>
-    day?.toLowerCase().trim().startsWith(todayKey)
-  );
-  if (!todayRow || !todayRow.time) return null;
+  // Last night's overnight span still running
+  const spill = (yesterday ?? []).some(({ close }) => close > MINUTES_PER_DAY && minutes < close - MINUTES_PER_DAY);
+  if (spill) return true;
+  if (!today) return null;
+  return today.some(({ open, close }) => minutes >= open && minutes < close);
+}
+
+/**
+ * Whether the hours cover a given wall-clock moment in the place's own zone
+ * ("open on Saturday at 14:00"). null when the hours can't be read.
+ * @param {string} openingHours - Raw opening hours text
+ * @param {string} day - 'mon' … 'sun'
+ * @param {number} minutes - Minutes from midnight
+ */
+export function isOpenAtTime(openingHours, day, minutes) {
+  const schedule = parseSchedule(openingHours);
+  if (!schedule) return null;
+  return isOpenAt(schedule, JS_DAYS.indexOf(day), minutes);
+}
 
-  const timeStr = todayRow.time.trim().toLowerCase();
+export const DEFAULT_TIME_ZONE = 'Europe/London';
 
-  // Explicit closed
-  if (/^clos(ed|e)?$/.test(timeStr) || timeStr === 'n/a') return 'closed';
-  // Always open
-  if (timeStr.includes('24 hour') || timeStr === '24/7') return 'open';
+const zoneFormatters = new Map();
 
-  // Match a time range: "9am-5pm", "09:00-17:00", "9 AM - 5 PM", "9:00am – 6:00pm"
-  const match = timeStr.match(
-    /(\d{1,2}(?::\d{2})?(?:\s*[ap]m)?)\s*[-–]\s*(\d{1,2}(?::\d{2})?(?:\s*[ap]m)?)/i
-  );
-  if (!match) return null;
+function zoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      })
+    );
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * Wall-clock day and time of `date` in `timeZone`, so BST/GMT changes follow
+ * the zone rules rather than the viewer's clock. Unknown zones fall back to
+ * Europe/London.
+ * @returns {{ day: string, dayIndex: number, minutes: number }} dayIndex in Date#getDay() order
+ */
+export function getZonedTime(date = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  let formatter;
+  try {
+    formatter = zoneFormatter(timeZone || DEFAULT_TIME_ZONE);
+  } catch {
+    formatter = zoneFormatter(DEFAULT_TIME_ZONE);
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(({ type, value }) => [type, value]));
+  const day = parts.weekday.slice(0, 3).toLowerCase();
+  return {
+    day,
+    dayIndex: JS_DAYS.indexOf(day),
+    minutes: (parseInt(parts.hour, 10) % 24) * 60 + parseInt(parts.minute, 10),
+  };
+}
+
+// Within this many minutes of closing an open place reads "Closes in …"
+export const CLOSING_SOON_MINUTES = 60;
+
+/**
+ * Open spans from yesterday through a week ahead, in minutes relative to
+ * today's midnight, with touching spans joined (so 24/7 is one long span).
+ */
+function spansAround(schedule, dayIndex) {
+  const spans = [];
+  for (let offset = -1; offset <= 7; offset++) {
+    const intervals = schedule.days[JS_DAYS[(dayIndex + offset + 7) % 7]] ?? [];
+    intervals.forEach(({ open, close }) => {
+      spans.push({ open: open + offset * MINUTES_PER_DAY, close: close + offset * MINUTES_PER_DAY });
+    });
+  }
+  spans.sort((a, b) => a.open - b.open);
+  return spans.reduce((merged, span) => {
+    const last = merged[merged.length - 1];
+    if (last && span.open <= last.close) last.close = Math.max(last.close, span.close);
+    else merged.push({ ...span });
+    return merged;
+  }, []);
+}
+
+function describeTransition(type, at, { minutes, dayIndex, now, timeZone }) {
+  const dayOffset = Math.floor(at / MINUTES_PER_DAY);
+
+  // Wall-clock difference, corrected if a BST/GMT change falls in between
+  let instant = new Date(now.getTime() + (at - minutes) * 60 * 1000);
+  const wall = getZonedTime(instant, timeZone).minutes;
+  const drift = ((wall - (at % MINUTES_PER_DAY) + 720 + MINUTES_PER_DAY) % MINUTES_PER_DAY) - 720;
+  if (drift) instant = new Date(instant.getTime() - drift * 60 * 1000);
+
+  return {
+    type,
+    dayOffset,
+    day: DAY_NAMES[JS_DAYS[(dayIndex + dayOffset) % 7]],
+    time: formatTime(at),
+    inMinutes: Math.round((instant.getTime() - now.getTime()) / 60000),
+    at: instant,
+  };
+}
+
+function statusLabel(state, closingSoon, next) {
+  if (state === 'open') {
+    if (!next) return 'Open 24 hours';
+    if (closingSoon) return `Closes in ${Math.max(next.inMinutes, 1)} min`;
+    return next.dayOffset === 0 ? `Open until ${next.time}` : 'Open';
+  }
+  if (!next) return 'Closed';
+  if (next.dayOffset === 0) return `Opens at ${next.time}`;
+  if (next.dayOffset === 1) return 'Opens tomorrow';
+  return `Opens ${next.day}`;
+}
 
-  function parseTimeMins(s) {
-    s = s.trim().toLowerCase();
-    const isPm = s.includes('pm');
-    const isAm = s.includes('am');
-    s = s.replace(/[apm\s]/g, '');
-    const [h, m = '0'] = s.split(':');
-    let hours = parseInt(h, 10);
-    const mins = parseInt(m, 10);
-    if (isNaN(hours) || isNaN(mins)) return NaN;
-    if (isPm && hours < 12) hours += 12;
-    if (isAm && hours === 12) hours = 0;
-    return hours * 60 + mins;
+/**
+ * @param {string} openingHours - Raw opening hours text
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - IANA zone the hours are written in (default Europe/London)
+ * @param {Date} [options.now] - Moment to evaluate, for tests
+ * @returns {{ state: 'open'|'closed', closingSoon: boolean, next: object|null, label: string } | null}
+ *   next is { type: 'opens'|'closes', at: Date, inMinutes, dayOffset, day, time } or
+ *   null when nothing changes within the coming week.
+ */
+export function getOpenStatus(openingHours, { timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}) {
+  const schedule = parseSchedule(openingHours);
+  if (!schedule) return null;
+
+  const { dayIndex, minutes } = getZonedTime(now, timeZone);
+  const open = isOpenAt(schedule, dayIndex, minutes);
+  if (open === null) return null;
+
+  const spans = spansAround(schedule, dayIndex);
+  const horizon = 7 * MINUTES_PER_DAY;
+  const context = { minutes, dayIndex, now, timeZone };
+  let next = null;
+  if (open) {
+    const current = spans.find((span) => minutes >= span.open && minutes < span.close);
+    if (current && current.close < horizon) {
+      next = describeTransition('closes', current.close, context);
+    }
+  } else {
+    const upcoming = spans.find((span) => span.open > minutes);
+    if (upcoming) next = describeTransition('opens', upcoming.open, context);
   }
 
-  const openMins = parseTimeMins(match[1]);
-  const closeMins = parseTimeMins(match[2]);
-  const nowMins = now.getHours() * 60 + now.getMinutes();
+  const state = open ? 'open' : 'closed';
+  const closingSoon = open && !!next && next.inMinutes <= CLOSING_SOON_MINUTES;
+  return { state, closingSoon, next, label: statusLabel(state, closingSoon, next) };
+}
+
+const DAY_PREFIX = /^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?\s*:\s*/i;
+
+export function normalizeOpeningHours(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+
+  // Fully understood hours are stored in the canonical form; anything we had
+  // to guess at stays as the contributor wrote it
+  const schedule = parseSchedule(raw);
+  if (schedule && !schedule.notes.length && !schedule.ambiguous) return serializeSchedule(schedule);
+
+  const lines = raw
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => line.replace(/[ \u00a0]+/g, ' ').trim())
+    .filter(Boolean)
+    .map((line) => {
+      // "Monday: 9am-5pm" → "Monday\t9am-5pm"
+      const match = line.match(DAY_PREFIX);
+      if (!match) return line;
+      const day = match[0].replace(/\s*:\s*$/, '');
+      return `${day}\t${line.slice(match[0].length)}`;
+    });
+  return lines.length ? lines.join('\n') : null;
+}
+
+/**
+ * Parser self-check - DO NOT USE IN PRODUCTION
+ * Runs the hours formats contributors commonly write through parseSchedule
+ *
+ * @returns {Object} Test results
+ */
+export function __testHours() {
+  const read = (raw) => {
+    const schedule = parseSchedule(raw);
+    return schedule ? serializeSchedule(schedule) : null;
+  };
+  const tests = [
+    { name: 'Day range', input: 'Mon-Fri 10:00-18:00', expected: 'Mon–Fri\t10:00–18:00' },
+    { name: 'Past midnight', input: 'Sat 22:00-02:00', expected: 'Saturday\t22:00–02:00' },
+    { name: 'Bare 12 is noon', input: 'Mon-Sat 10-6\nSun 12-5', expected: 'Mon–Sat\t10:00–18:00\nSunday\t12:00–17:00' },
+    { name: 'No days means daily', input: '10-6', expected: 'Daily\t10:00–18:00' },
+    { name: 'Day and time on separate lines', input: 'Monday\n9am-5pm', expected: 'Monday\t09:00–17:00' },
+    { name: 'Time before days', input: '9am-6pm Mon-Sat', expected: 'Mon–Sat\t09:00–18:00' },
+    { name: 'Time before spelled-out days', input: '10am - 6pm Monday to Saturday', expected: 'Mon–Sat\t10:00–18:00' },
+    { name: 'Closed day after a range', input: 'Mon-Sat 10-6, closed Sunday', expected: 'Mon–Sat\t10:00–18:00\nSunday\tClosed' },
+    { name: 'Note after a range', input: 'Mon-Fri 9-5, Bank holidays vary', expected: 'Mon–Fri\t09:00–17:00\nBank holidays vary' },
+    { name: 'Split day', input: 'Mon-Fri: 9-1 & 2-5', expected: 'Mon–Fri\t09:00–13:00, 14:00–17:00' },
+    { name: 'Nothing readable', input: 'By appointment only', expected: null },
+  ].map((test) => ({ ...test, result: read(test.input) }));
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  tests.forEach(test => {
+    const passed = test.result === test.expected;
+    results.tests.push({
+      ...test,
+      passed
+    });
+
+    if (passed) {
+      results.passed++;
+    } else {
+      results.failed++;
+    }
+  });
 
-  if (isNaN(openMins) || isNaN(closeMins)) return null;
-  return nowMins >= openMins && nowMins < closeMins ? 'open' : 'closed';
+  return results;
 }
@@ -0,0 +1,64 @@
+// Outgoing email, behind a swappable mailer. Server-only.
+//
+// A mailer is any object with `send({ to, subject, text })`. Pick one with
+// MAILER:
+//   - "resend": sends through the Resend API (RESEND_API_KEY, MAIL_FROM)
+//   - "outbox": writes each message as JSON to .outbox/ and logs it, so
+//     nothing leaves the machine (the default outside production)
+// Tests or scripts can swap in their own with setMailer().
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export function createOutboxMailer({ dir = path.join(process.cwd(), '.outbox') } = {}) {
+  return {
+    async send(message) {
+      await mkdir(dir, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const file = path.join(dir, `${stamp}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await writeFile(file, JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2));
+      console.info(`[mailer] outbox: "${message.subject}" to ${message.to} → ${file}`);
+      return { id: path.basename(file) };
+    },
+  };
+}
+
+export function createResendMailer({
+  apiKey = process.env.RESEND_API_KEY,
+  from = process.env.MAIL_FROM,
+} = {}) {
+  return {
+    async send({ to, subject, text }) {
+      if (!apiKey || !from) throw new Error('Mailer is not configured (RESEND_API_KEY, MAIL_FROM).');
+      const res = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from, to, subject, text }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || `Email failed (${res.status})`);
+      return { id: data.id };
+    },
+  };
+}
+
+function createDefaultMailer() {
+  const kind = process.env.MAILER || (process.env.NODE_ENV === 'production' ? 'resend' : 'outbox');
+  return kind === 'resend' ? createResendMailer() : createOutboxMailer();
+}
+
+let activeMailer = null;
+
+/** Replaces the mailer used by sendMail. Pass null to go back to the default. */
+export function setMailer(mailer) {
+  activeMailer = mailer;
+}
+
+/**
+ * Sends one email with the active mailer.
+ * @param {{ to: string, subject: string, text: string }} message
+ */
+export function sendMail(message) {
+  activeMailer ??= createDefaultMailer();
+  return activeMailer.send(message);
+}
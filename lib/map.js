@@ -0,0 +1,115 @@
+// Mapbox helpers shared by the home map and shared-collection maps.
+// Places go into one clustered GeoJSON source; callers wire up the clicks.
+
+export const PLACES_SOURCE = 'places';
+
+// Layers that respond to clicks, for queryRenderedFeatures and cursor handling
+export const PLACE_LAYERS = ['place-clusters', 'place-points'];
+
+// Dot colour per category (lower-cased). Anything unlisted uses the default blue.
+const CATEGORY_COLORS = {
+  'fabric shop': '#0829ff',
+  fabrics: '#0829ff',
+  trimming: '#ff00a6',
+  leather: '#8a4b14',
+  services: '#111111',
+  'knit/embroidery': '#2d8a4e',
+  markets: '#ff6b00',
+};
+const DEFAULT_PLACE_COLOR = '#0829ff';
+
+export function placesToGeoJSON(places) {
+  return {
+    type: 'FeatureCollection',
+    features: places
+      .filter((place) => typeof place.lng === 'number' && typeof place.lat === 'number')
+      .map((place) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [place.lng, place.lat] },
+        properties: {
+          id: String(place.id),
+          category: place.category?.toString().trim().toLowerCase() ?? '',
+        },
+      })),
+  };
+}
+
+// Adds the clustered places source and its layers. Safe to call again after
+// setStyle() wipes the style (dark mode), since it checks for the source first.
+export function addPlacesLayers(map, places) {
+  if (map.getSource(PLACES_SOURCE)) return;
+
+  map.addSource(PLACES_SOURCE, {
+    type: 'geojson',
+    data: placesToGeoJSON(places),
+    cluster: true,
+    clusterMaxZoom: 15,
+    clusterRadius: 40,
+  });
+
+  map.addLayer({
+    id: 'place-clusters',
+    type: 'circle',
+    source: PLACES_SOURCE,
+    filter: ['has', 'point_count'],
+    paint: {
+      'circle-color': '#111',
+      'circle-opacity': 0.9,
+      'circle-radius': ['step', ['get', 'point_count'], 14, 10, 18, 50, 24],
+      'circle-stroke-width': 2,
+      'circle-stroke-color': '#fff',
+    },
+  });
+
+  map.addLayer({
+    id: 'place-cluster-count',
+    type: 'symbol',
+    source: PLACES_SOURCE,
+    filter: ['has', 'point_count'],
+    layout: {
+      'text-field': ['get', 'point_count_abbreviated'],
+      'text-size': 12,
+      'text-font': ['DIN Pro Medium', 'Arial Unicode MS Bold'],
+      'text-allow-overlap': true,
+    },
+    paint: { 'text-color': '#fff' },
+  });
+
+  map.addLayer({
+    id: 'place-points',
+    type: 'circle',
+    source: PLACES_SOURCE,
+    filter: ['!', ['has', 'point_count']],
+    paint: {
+      'circle-color': [
+        'match',
+        ['get', 'category'],
+        ...Object.entries(CATEGORY_COLORS).flat(),
+        DEFAULT_PLACE_COLOR,
+      ],
+      'circle-opacity': 0.95,
+      'circle-radius': 6,
+      'circle-stroke-width': 1.5,
+      'circle-stroke-color': '#fff',
+    },
+  });
+}
+
+/** Eases in far enough for a clicked cluster to break apart. */
+export function zoomIntoCluster(map, feature) {
+  map.getSource(PLACES_SOURCE).getClusterExpansionZoom(
+    feature.properties.cluster_id,
+    (err, zoom) => {
+      if (err) return;
+      map.easeTo({ center: feature.geometry.coordinates, zoom, duration: 400 });
+    }
+  );
+}
+
+/** Pointer cursor over clusters and places. */
+export function showPointerOverPlaces(map) {
+  PLACE_LAYERS.forEach((layerId) => {
+    map.on('mouseenter', layerId, () => { map.getCanvas().style.cursor = 'pointer'; });
+    map.on('mouseleave', layerId, () => { map.getCanvas().style.cursor = ''; });
+  });
+}
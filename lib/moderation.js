@@ -0,0 +1,81 @@
+// Shared moderation vocabulary: rejection reasons shown to admins, the
+// emails submitters receive when their submission is reviewed, and the
+// actions recorded in the moderation log.
+
+const SITE_URL = process.env.NEXT_PUBLIC_SITE_URL || 'https://seamline.app';
+
+export const REJECTION_REASONS = [
+  { id: 'duplicate', label: 'Duplicate', message: 'This place is already on Seamline.' },
+  { id: 'closed', label: 'Closed', message: 'As far as we can tell, this place has closed.' },
+  {
+    id: 'out_of_scope',
+    label: 'Out of scope',
+    message: "This place isn't a fit for Seamline, which lists fabric, trimmings and sewing services.",
+  },
+  {
+    id: 'insufficient_info',
+    label: 'Insufficient info',
+    message: "We couldn't verify this place from the details provided.",
+  },
+  { id: 'other', label: 'Other (custom note)', message: '' },
+];
+
+export function getRejectionReason(id) {
+  return REJECTION_REASONS.find((r) => r.id === id) ?? null;
+}
+
+// Mirrors the action check constraint on moderation_log
+export const MODERATION_ACTIONS = [
+  { id: 'approve', label: 'Approved submission' },
+  { id: 'reject', label: 'Rejected submission' },
+  { id: 'edit_submission', label: 'Edited submission' },
+  { id: 'edit_place', label: 'Edited place' },
+  { id: 'unpublish', label: 'Unpublished place' },
+  { id: 'republish', label: 'Republished place' },
+  { id: 'role_change', label: 'Changed role' },
+];
+
+export function getModerationAction(id) {
+  return MODERATION_ACTIONS.find((a) => a.id === id) ?? null;
+}
+
+/**
+ * Email telling a submitter their submission was approved or rejected.
+ * @param {object} sub - place_submissions row (status approved | rejected); an
+ *   approval links to sub.place_id
+ * @returns {{ to: string, subject: string, text: string } | null} null if there's no one to tell
+ */
+export function buildReviewEmail(sub) {
+  if (!sub?.submitter_email) return null;
+  const name = sub.name || 'your place';
+
+  if (sub.status === 'approved') {
+    const id = sub.place_id;
+    return {
+      to: sub.submitter_email,
+      subject: `${name} is now on Seamline`,
+      text: [
+        `Thanks for submitting ${name}. It's been reviewed and is now live:`,
+        '',
+        id ? `${SITE_URL}/place/${encodeURIComponent(id)}` : SITE_URL,
+        '',
+        '— Seamline',
+      ].join('\n'),
+    };
+  }
+
+  if (sub.status === 'rejected') {
+    const reason = getRejectionReason(sub.rejection_reason);
+    const lines = [`Thanks for submitting ${name}. We've reviewed it and won't be adding it this time.`];
+    if (reason?.message) lines.push('', reason.message);
+    if (sub.rejection_note) lines.push('', sub.rejection_note);
+    lines.push('', `You can see all your submissions at ${SITE_URL}/submissions.`, '', '— Seamline');
+    return {
+      to: sub.submitter_email,
+      subject: `Update on your submission: ${name}`,
+      text: lines.join('\n'),
+    };
+  }
+
+  return null;
+}
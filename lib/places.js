@@ -0,0 +1,146 @@
+// Published places, fetched once and shared by every view. The list is kept
+// in memory and mirrored to sessionStorage so moving between map, list and
+// search doesn't refetch the table; stale copies are shown straight away and
+// refreshed in the background (stale-while-revalidate).
+//
+// Shared visibility rules live here rather than in each page:
+//   * unpublished places are never in the list (RLS already hides them from
+//     everyone but admins; the filter keeps admins' views the same)
+//   * permanently closed places are in the list, so saved places and shared
+//     collections still resolve, but isListedPlace() keeps them off the map,
+//     list and search
+
+import { supabase } from './supabase';
+
+// Everything a place view reads; keep in step with the places table
+export const PLACE_COLUMNS =
+  'id, slug, name, category, address, lat, lng, website, phone, pop_up, more_info, ' +
+  'opening_hours, timezone, average_price, tags, photos, permanently_closed';
+
+const CACHE_KEY = 'seamline_places_cache';
+const STALE_AFTER_MS = 60 * 1000;
+
+let memoryCache = null; // { places, fetchedAt }
+let inFlight = null;
+const listeners = new Set();
+
+function readSessionCache() {
+  if (typeof window === 'undefined') return null;
+  try {
+    const cached = JSON.parse(sessionStorage.getItem(CACHE_KEY));
+    return Array.isArray(cached?.places) ? cached : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(places) {
+  memoryCache = { places, fetchedAt: Date.now() };
+  try {
+    sessionStorage.setItem(CACHE_KEY, JSON.stringify(memoryCache));
+  } catch {
+    // Quota or private mode: the in-memory copy still works for this page
+  }
+  listeners.forEach((listener) => listener(places));
+}
+
+/**
+ * Places query with the shared columns and visibility rules applied.
+ * @param {string} [columns]
+ * @param {{ client?: import('@supabase/supabase-js').SupabaseClient, count?: 'exact', head?: boolean }} [options]
+ *   - client: a server client, for code that runs outside the browser
+ *   - count/head: as for supabase select(), e.g. to count without fetching rows
+ */
+export function publishedPlacesQuery(columns = PLACE_COLUMNS, { client = supabase, count, head } = {}) {
+  return client.from('places').select(columns, { count, head }).is('unpublished_at', null);
+}
+
+/** Whether a value could be a place id (a UUID); Postgres rejects anything else. */
+export function isPlaceId(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value));
+}
+
+/** Whether a place belongs on the map, list and search results. */
+export function isListedPlace(place) {
+  return Boolean(place) && !place.permanently_closed;
+}
+
+/**
+ * Cached places, or null if nothing has been fetched this session.
+ * @returns {{ places: object[], fetchedAt: number } | null}
+ */
+export function getCachedPlaces() {
+  if (!memoryCache) memoryCache = readSessionCache();
+  return memoryCache;
+}
+
+/**
+ * Fetches every published place and refreshes the cache. Concurrent calls
+ * share one request.
+ * @returns {Promise<object[]>}
+ */
+export function fetchPlaces() {
+  if (inFlight) return inFlight;
+  inFlight = publishedPlacesQuery()
+    .order('name')
+    .then(({ data, error }) => {
+      if (error) throw error;
+      writeCache(data ?? []);
+      return data ?? [];
+    })
+    .finally(() => {
+      inFlight = null;
+    });
+  return inFlight;
+}
+
+/**
+ * Cached places if there are any, refetching in the background once they're
+ * stale; otherwise waits for the first fetch.
+ * @returns {Promise<object[]>}
+ */
+export function loadPlaces() {
+  const cached = getCachedPlaces();
+  if (!cached) return fetchPlaces();
+  if (Date.now() - cached.fetchedAt > STALE_AFTER_MS) {
+    fetchPlaces().catch((err) => console.error('[places] refresh failed:', err));
+  }
+  return Promise.resolve(cached.places);
+}
+
+/** Calls `listener(places)` whenever the cache is refreshed. Returns an unsubscribe. */
+export function onPlacesChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** Forgets the cache, e.g. after an admin edit, so the next read refetches. */
+export function invalidatePlaces() {
+  memoryCache = null;
+  try {
+    sessionStorage.removeItem(CACHE_KEY);
+  } catch {
+    // Nothing cached to clear
+  }
+}
+
+/**
+ * One place by slug or id, including unpublished ones the caller is allowed
+ * to see (admins), for the place page.
+ * @param {string} idOrSlug
+ * @param {import('@supabase/supabase-js').SupabaseClient} [client] - The
+ *   place page passes a session-less client when rendering on the server
+ * @returns {Promise<object | null>}
+ */
+export async function fetchPlace(idOrSlug, client = supabase) {
+  const columns = `${PLACE_COLUMNS}, unpublished_at`;
+  const bySlug = await client.from('places').select(columns).eq('slug', idOrSlug).maybeSingle();
+  if (bySlug.error) throw bySlug.error;
+  if (bySlug.data) return bySlug.data;
+
+  // Not a slug; only try it as an id if it could be one
+  if (!isPlaceId(idOrSlug)) return null;
+  const byId = await client.from('places').select(columns).eq('id', idOrSlug).maybeSingle();
+  if (byId.error) throw byId.error;
+  return byId.data ?? null;
+}
@@ -0,0 +1,52 @@
+// Roles and what each one may do. Shared by the browser (useAuth, admin UI)
+// and middleware; the database enforces the same ordering with has_role().
+
+export const ROLES = [
+  { id: 'contributor', label: 'Contributor' },
+  { id: 'moderator', label: 'Moderator' },
+  { id: 'admin', label: 'Admin' },
+];
+
+export const DEFAULT_ROLE = 'contributor';
+
+// Each role has its own capabilities plus everything the roles before it have
+const ROLE_CAPABILITIES = {
+  contributor: ['submit_place', 'manage_own_submissions'],
+  moderator: ['access_admin', 'review_submissions', 'view_activity'],
+  admin: ['manage_places', 'manage_roles'],
+};
+
+/**
+ * Maps unknown or missing roles to the default.
+ * @param {string | null | undefined} role
+ * @returns {string}
+ */
+export function normalizeRole(role) {
+  return ROLES.some((r) => r.id === role) ? role : DEFAULT_ROLE;
+}
+
+/**
+ * Every capability a role has, including those inherited from lower roles.
+ * @param {string | null | undefined} role
+ * @returns {string[]}
+ */
+export function getCapabilities(role) {
+  const rank = ROLES.findIndex((r) => r.id === normalizeRole(role));
+  return ROLES.slice(0, rank + 1).flatMap((r) => ROLE_CAPABILITIES[r.id]);
+}
+
+/**
+ * @param {string | null | undefined} role
+ * @param {string} capability
+ * @returns {boolean}
+ * @example
+ * hasCapability('moderator', 'review_submissions') // true
+ * hasCapability('moderator', 'manage_roles')       // false
+ */
+export function hasCapability(role, capability) {
+  return getCapabilities(role).includes(capability);
+}
+
+export function getRoleLabel(role) {
+  return ROLES.find((r) => r.id === role)?.label ?? role;
+}
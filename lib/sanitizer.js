@@ -312,6 +312,22 @@ export function sanitizePhotoArray(photos, maxCount = 10) {
     .filter(url => url !== ''); // Remove any blocked URLs
 }
 
+/**
+ * Turns free text into an ilike pattern for a Supabase search.
+ * PostgREST's or() syntax breaks on commas and parentheses, and % / _ are
+ * ilike wildcards; none of them are useful in a name, address or email search
+ *
+ * @param {string} text - What the admin typed
+ * @returns {string} `%term%`, or '' when nothing searchable is left
+ *
+ * @example
+ * toSearchPattern(' Cloth (Soho) ') // Returns '%Cloth  Soho%'
+ */
+export function toSearchPattern(text) {
+  const term = (text ?? '').replace(/[,()%_\\*]/g, ' ').trim();
+  return term ? `%${term}%` : '';
+}
+
 /**
  * Security test function - DO NOT USE IN PRODUCTION
  * Tests if sanitization is working correctly
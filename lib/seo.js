@@ -0,0 +1,132 @@
+// What search engines and link previews see: canonical URLs, descriptions
+// and schema.org structured data for place pages. Server-safe; nothing here
+// touches the browser.
+
+import { sanitizeUrl, sanitizePhotoArray } from './sanitizer';
+import { isOnlinePlace } from './filters';
+import { POSTCODE_PATTERN, extractPostcode } from './duplicates';
+import { DAY_NAMES, WEEK_DAYS, formatTime, parseSchedule } from './hours';
+
+export const SITE_URL = (process.env.NEXT_PUBLIC_SITE_URL || 'https://seamline.app').replace(/\/+$/, '');
+
+const DESCRIPTION_LENGTH = 160;
+
+// Categories that sell things; the rest are services and markets
+const STORE_CATEGORIES = ['Fabric Shop', 'Leather', 'Trimming', 'Knit/Embroidery', 'Online'];
+
+/** Canonical path for a place: its slug when it has one, otherwise its id. */
+export function getPlacePath(place) {
+  return `/place/${encodeURIComponent(place.slug || place.id)}`;
+}
+
+/** Absolute URL for a path on this site. */
+export function getSiteUrl(path = '/') {
+  return `${SITE_URL}${path}`;
+}
+
+/**
+ * The place's website as a safe absolute URL; contributors often leave off
+ * the scheme.
+ * @returns {string | null}
+ */
+export function getPlaceWebsite(place) {
+  if (!place?.website) return null;
+  const url = /^https?:\/\//i.test(place.website) ? place.website : `https://${place.website}`;
+  return sanitizeUrl(url) || null;
+}
+
+/**
+ * One or two sentences for meta descriptions and previews, cut at a word
+ * boundary.
+ */
+export function getPlaceDescription(place) {
+  const text = (place.pop_up || place.more_info || '').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return `${place.name}${place.category ? `, ${place.category.toLowerCase()}` : ''} on Seamline.`;
+  }
+  if (text.length <= DESCRIPTION_LENGTH) return text;
+  const cut = text.slice(0, DESCRIPTION_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+// schema.org wants 24-hour spans as 00:00–23:59
+function toSchemaClose({ open, close }) {
+  return open === 0 && close >= 24 * 60 ? '23:59' : formatTime(close);
+}
+
+function buildOpeningHours(raw) {
+  const schedule = parseSchedule(raw);
+  if (!schedule) return undefined;
+  const specs = [];
+  WEEK_DAYS.forEach((day) => {
+    (schedule.days[day] ?? []).forEach((interval) => {
+      specs.push({
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: `https://schema.org/${DAY_NAMES[day]}`,
+        opens: formatTime(interval.open),
+        closes: toSchemaClose(interval),
+      });
+    });
+  });
+  return specs.length ? specs : undefined;
+}
+
+// "12 Berwick St, London W1F 0PL" → street "12 Berwick St", town "London",
+// postcode "W1F 0PL". The town is the last comma part once the postcode is
+// gone, and only when there is one; a lone street stays as it is.
+function buildPostalAddress(address) {
+  const postalCode = extractPostcode(address);
+  const parts = address
+    .replace(POSTCODE_PATTERN, ' ')
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+  const town = parts.length > 1 && !/\d/.test(parts[parts.length - 1]) ? parts.pop() : undefined;
+  return {
+    '@type': 'PostalAddress',
+    streetAddress: parts.join(', ') || address,
+    addressLocality: town,
+    postalCode: postalCode ?? undefined,
+    addressCountry: 'GB',
+  };
+}
+
+/**
+ * schema.org LocalBusiness (or Store) JSON-LD for a place page.
+ * Fields we don't know are left out rather than sent empty.
+ * @param {object} place - Row from the places table
+ * @returns {object}
+ */
+export function buildPlaceJsonLd(place) {
+  const online = isOnlinePlace(place);
+  const photos = sanitizePhotoArray(Array.isArray(place.photos) ? place.photos : []);
+  const hasGeo = typeof place.lat === 'number' && typeof place.lng === 'number';
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': STORE_CATEGORIES.includes(place.category) ? 'Store' : 'LocalBusiness',
+    '@id': getSiteUrl(getPlacePath(place)),
+    name: place.name,
+    url: getSiteUrl(getPlacePath(place)),
+    description: getPlaceDescription(place),
+    image: photos.length ? photos : undefined,
+    telephone: place.phone || undefined,
+    priceRange: place.average_price || undefined,
+    sameAs: getPlaceWebsite(place) ?? undefined,
+    keywords: Array.isArray(place.tags) && place.tags.length ? place.tags.join(', ') : undefined,
+  };
+
+  if (!online && place.address) {
+    data.address = buildPostalAddress(place.address);
+  }
+  if (!online && hasGeo) {
+    data.geo = { '@type': 'GeoCoordinates', latitude: place.lat, longitude: place.lng };
+  }
+  if (!place.permanently_closed) {
+    data.openingHoursSpecification = buildOpeningHours(place.opening_hours);
+  }
+
+  // JSON.stringify drops the undefined fields
+  return data;
+}
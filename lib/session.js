@@ -0,0 +1,167 @@
+// Session plumbing shared by the browser and middleware. Supabase keeps the
+// session in localStorage, which middleware can't see, so the browser mirrors
+// the access token into a cookie; middleware checks it before a protected page
+// renders and sends signed-out visitors to log in with a return URL.
+
+export const ACCESS_TOKEN_COOKIE = 'seamline-access-token';
+
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+
+// Where the login page sends people back to; kept separate so every
+// redirect to it agrees on the parameter name
+export const RETURN_TO_PARAM = 'returnTo';
+
+/**
+ * Reduces a return URL to a same-site path, so `?returnTo=` can't be used to
+ * bounce someone to another site after they log in.
+ * @param {string | null | undefined} value
+ * @returns {string | null} Path with query and hash, or null if unsafe
+ * @example
+ * sanitizeReturnTo('/submit?draft=1')     // '/submit?draft=1'
+ * sanitizeReturnTo('//evil.example')      // null
+ * sanitizeReturnTo('https://evil.example') // null
+ */
+export function sanitizeReturnTo(value) {
+  if (typeof value !== 'string' || !value.startsWith('/')) return null;
+  // Protocol-relative URLs and backslashes (which browsers treat as slashes)
+  if (value.startsWith('//') || value.includes('\\') || /[\u0000-\u001f]/.test(value)) return null;
+  try {
+    const base = 'https://seamline.invalid';
+    const url = new URL(value, base);
+    if (url.origin !== base) return null;
+    // Sending someone back to the login page would just strand them there
+    if (url.pathname === '/account') return null;
+    return url.pathname + url.search + url.hash;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Login page URL that returns to `returnTo` afterwards.
+ * @param {string} [returnTo] - Same-site path; ignored if unsafe
+ * @returns {string}
+ */
+export function getLoginUrl(returnTo) {
+  const safe = sanitizeReturnTo(returnTo);
+  return safe ? `/account?${RETURN_TO_PARAM}=${encodeURIComponent(safe)}` : '/account';
+}
+
+// ── Auth redirect errors ─────────────────────────────────────────────────
+// Magic links, OAuth and signup confirmation come back with any failure in
+// the URL: the hash for implicit links, the query for PKCE.
+
+const AUTH_ERROR_MESSAGES = {
+  otp_expired: 'That sign-in link has expired or was already used. Send yourself a new one below.',
+  access_denied: 'Sign-in was cancelled or the link is no longer valid. Please try again.',
+};
+
+/**
+ * Reads an auth error left in the URL by a Supabase redirect and removes it,
+ * so a refresh doesn't show it again.
+ * @returns {string | null} Message to show, or null if there was no error
+ */
+export function takeAuthRedirectError() {
+  if (typeof window === 'undefined') return null;
+  const url = new URL(window.location.href);
+  const hash = new URLSearchParams(url.hash.replace(/^#/, ''));
+  const source = hash.has('error') ? hash : url.searchParams.has('error') ? url.searchParams : null;
+  if (!source) return null;
+
+  const code = source.get('error_code') || source.get('error');
+  const description = source.get('error_description');
+
+  for (const key of ['error', 'error_code', 'error_description']) url.searchParams.delete(key);
+  if (source === hash) url.hash = '';
+  window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+
+  return AUTH_ERROR_MESSAGES[code] || description || 'Sign-in failed. Please try again.';
+}
+
+// ── Pending action ───────────────────────────────────────────────────────
+// Something a signed-out visitor tried to do (e.g. save a place), picked back
+// up when they return after logging in. localStorage rather than
+// sessionStorage so it survives the signup confirmation email opening a new tab.
+
+const PENDING_ACTION_KEY = 'seamline-pending-action';
+const PENDING_ACTION_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Remembers an action to resume after login. Replaces any earlier one.
+ * @param {{ type: string, [key: string]: unknown }} action
+ */
+export function setPendingAction(action) {
+  try {
+    localStorage.setItem(PENDING_ACTION_KEY, JSON.stringify({ ...action, createdAt: Date.now() }));
+  } catch {
+    // Storage full or blocked: the visitor just has to click again
+  }
+}
+
+/**
+ * Returns and clears the pending action if `matches` accepts it. Stale
+ * actions are dropped rather than replayed.
+ * @param {(action: object) => boolean} matches
+ * @returns {object | null}
+ */
+export function takePendingAction(matches) {
+  let action;
+  try {
+    action = JSON.parse(localStorage.getItem(PENDING_ACTION_KEY));
+  } catch {
+    action = null;
+  }
+  if (!action) return null;
+  if (!(Date.now() - action.createdAt < PENDING_ACTION_TTL_MS)) {
+    localStorage.removeItem(PENDING_ACTION_KEY);
+    return null;
+  }
+  if (!matches(action)) return null;
+  localStorage.removeItem(PENDING_ACTION_KEY);
+  return action;
+}
+
+/**
+ * Writes (or clears, for a null session) the access token cookie.
+ * Browser only; call on every auth state change so refreshes are picked up.
+ * @param {{ access_token: string, expires_at?: number } | null} session
+ */
+export function syncSessionCookie(session) {
+  if (typeof document === 'undefined') return;
+  const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+  if (!session?.access_token) {
+    document.cookie = `${ACCESS_TOKEN_COOKIE}=; Path=/; Max-Age=0; SameSite=Lax${secure}`;
+    return;
+  }
+  const maxAge = session.expires_at
+    ? Math.max(0, session.expires_at - Math.floor(Date.now() / 1000))
+    : 3600;
+  document.cookie =
+    `${ACCESS_TOKEN_COOKIE}=${encodeURIComponent(session.access_token)}; ` +
+    `Path=/; Max-Age=${maxAge}; SameSite=Lax${secure}`;
+}
+
+/**
+ * Resolves an access token to the caller's role. PostgREST rejects expired or
+ * forged tokens, so a role coming back means the session is valid.
+ * @param {string | undefined} accessToken
+ * @returns {Promise<string | null>} Role, or null when the token isn't a valid session
+ * @throws {Error} When Supabase can't be reached
+ */
+export async function getRoleForToken(accessToken) {
+  if (!accessToken) return null;
+  const res = await fetch(`${supabaseUrl}/rest/v1/rpc/current_user_role`, {
+    method: 'POST',
+    headers: {
+      apikey: supabaseAnonKey,
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: '{}',
+    cache: 'no-store',
+  });
+  if (res.status === 401 || res.status === 403) return null;
+  if (!res.ok) throw new Error(`Role lookup failed (${res.status})`);
+  return res.json();
+}
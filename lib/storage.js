@@ -1,10 +1,19 @@
 // Auth and saved-places helpers — ported from utils/storage.js
 // Adapted for Next.js: no window.dispatchEvent, use supabase from lib/supabase.js
+//
+// Saved places and collections live in Supabase (see
+// supabase/migrations/*_saved_places.sql). Every table is scoped to its owner
+// by RLS (`user_id = auth.uid()`), so these helpers never need to filter other
+// users' rows out — the `user_id` filters below only keep queries explicit.
+// localStorage holds a per-user copy so pages can read synchronously while
+// offline or before the first sync finishes; it is never the source of truth.
 
 import { supabase } from './supabase';
+import { isPlaceId } from './places';
 
-const SAVED_KEY = 'seamline_saved_places';
-const COLLECTION_PREFIX = 'col';
+const CACHE_KEY = 'seamline_saved_cache';
+// Pre-Supabase store, keyed by email. Moved to the server once, then removed.
+const LEGACY_SAVED_KEY = 'seamline_saved_places';
 
 function parseJSON(raw, fallback) {
   try {
@@ -30,10 +39,18 @@ export async function getVerifiedUser() {
   return data.user;
 }
 
-export function signupUser({ name, email, password }) {
+/**
+ * @param {{ name: string, email: string, password: string, redirectTo?: string }} details
+ *   redirectTo is where the confirmation email's link lands
+ */
+export function signupUser({ name, email, password, redirectTo }) {
   if (!name || !email || !password) throw new Error('All fields are required.');
   return supabase.auth
-    .signUp({ email, password, options: { data: { display_name: name } } })
+    .signUp({
+      email,
+      password,
+      options: { data: { display_name: name }, ...(redirectTo && { emailRedirectTo: redirectTo }) },
+    })
     .then(({ data, error }) => {
       if (error) throw error;
       return mapUser(data?.user);
@@ -50,22 +67,193 @@ export function loginUser({ email, password }) {
     });
 }
 
-export function logoutUser() {
-  return supabase.auth.signOut().then(({ error }) => {
-    if (error) throw error;
+/**
+ * Emails a passwordless sign-in: a magic link and a 6-digit code for the same
+ * session, so it works whether or not the email is opened on this device.
+ * New addresses get an account.
+ * @param {{ email: string, redirectTo?: string }} details - redirectTo is where the link lands
+ */
+export function sendSignInEmail({ email, redirectTo }) {
+  if (!email) throw new Error('Email is required.');
+  return supabase.auth
+    .signInWithOtp({
+      email,
+      options: { shouldCreateUser: true, ...(redirectTo && { emailRedirectTo: redirectTo }) },
+    })
+    .then(({ error }) => {
+      if (error) throw error;
+    });
+}
+
+/**
+ * Signs in with the 6-digit code from the sign-in email.
+ * @param {{ email: string, code: string }} details
+ */
+export function verifySignInCode({ email, code }) {
+  const token = String(code ?? '').replace(/\s+/g, '');
+  if (!email) throw new Error('Email is required.');
+  if (!/^\d{6}$/.test(token)) throw new Error('Enter the 6-digit code from the email.');
+  return supabase.auth
+    .verifyOtp({ email, token, type: 'email' })
+    .then(({ data, error }) => {
+      if (error) {
+        // Supabase reports expired and already-used codes the same way
+        if (/expired|invalid/i.test(error.message)) {
+          throw new Error('That code has expired or was already used. Send yourself a new one.');
+        }
+        throw error;
+      }
+      return mapUser(data?.user);
+    });
+}
+
+export async function logoutUser() {
+  const { data } = await supabase.auth.getSession();
+  const { error } = await supabase.auth.signOut();
+  if (error) throw error;
+  clearSavedCache(data?.session?.user);
+}
+
+// ─── Account settings ────────────────────────────────────────────────────────
+
+export async function updateDisplayName(name) {
+  const { data, error } = await supabase.auth.updateUser({ data: { display_name: name } });
+  if (error) throw error;
+  return mapUser(data?.user);
+}
+
+/**
+ * Starts an email change. Supabase only switches addresses once the link it
+ * sends is followed, so the old email stays active until then.
+ * @param {string} email
+ * @param {{ redirectTo?: string }} [options] - Where the confirmation link lands
+ */
+export async function changeEmail(email, { redirectTo } = {}) {
+  if (!email) throw new Error('Email is required.');
+  const { error } = await supabase.auth.updateUser(
+    { email },
+    redirectTo ? { emailRedirectTo: redirectTo } : undefined
+  );
+  if (error) throw error;
+}
+
+/**
+ * Changes the password of the signed-in user after checking the current one,
+ * so an unattended session can't be used to lock the owner out.
+ * @param {{ email: string, currentPassword: string, newPassword: string }} details
+ */
+export async function changePassword({ email, currentPassword, newPassword }) {
+  if (!currentPassword || !newPassword) throw new Error('Both passwords are required.');
+  const { error: checkError } = await supabase.auth.signInWithPassword({
+    email,
+    password: currentPassword,
   });
+  if (checkError) throw new Error('Your current password is incorrect.');
+  const { error } = await supabase.auth.updateUser({ password: newPassword });
+  if (error) throw error;
 }
 
-// ─── localStorage saved places ──────────────────────────────────────────────
+// What the submitter sent and what came of it; reviewer ids and the
+// moderator's edit history stay out of the export
+const EXPORT_SUBMISSION_COLUMNS =
+  'id, name, category, address, lat, lng, website, phone, pop_up, more_info, opening_hours, ' +
+  'average_price, tags, photos, submitter_email, status, rejection_reason, rejection_note, ' +
+  'place_id, created_at, reviewed_at';
 
-function getSavedStore() {
+/**
+ * Everything stored about the user, for a data export: profile, saves,
+ * collections and submissions.
+ * @returns {Promise<object>} Plain JSON-serialisable object
+ */
+export async function exportAccountData(user) {
+  requireUser(user);
+  const [authRes, roleRes, savedRes, collectionsRes, submissionsRes] = await Promise.all([
+    supabase.auth.getUser(),
+    supabase.rpc('current_user_role'),
+    supabase
+      .from('saved_places')
+      .select('place_id, created_at, places(name)')
+      .eq('user_id', user.id)
+      .order('created_at'),
+    supabase
+      .from('collections')
+      .select('id, name, share_slug, created_at, collection_places(place_id, created_at)')
+      .eq('user_id', user.id)
+      .order('created_at'),
+    supabase
+      .from('place_submissions')
+      .select(EXPORT_SUBMISSION_COLUMNS)
+      .eq('submitted_by', user.id)
+      .order('created_at'),
+  ]);
+  for (const res of [authRes, roleRes, savedRes, collectionsRes, submissionsRes]) {
+    if (res.error) throw res.error;
+  }
+
+  const authUser = authRes.data.user;
+  return {
+    exported_at: new Date().toISOString(),
+    profile: {
+      id: authUser.id,
+      email: authUser.email,
+      display_name: authUser.user_metadata?.display_name ?? null,
+      role: roleRes.data,
+      created_at: authUser.created_at,
+      last_sign_in_at: authUser.last_sign_in_at,
+      sign_in_methods: authUser.app_metadata?.providers ?? [],
+    },
+    saved_places: (savedRes.data ?? []).map(({ place_id, created_at, places }) => ({
+      place_id,
+      place_name: places?.name ?? null,
+      saved_at: created_at,
+    })),
+    collections: (collectionsRes.data ?? []).map((col) => ({
+      id: col.id,
+      name: col.name,
+      share_url: col.share_slug ? getCollectionShareUrl(col.share_slug) : null,
+      created_at: col.created_at,
+      places: (col.collection_places ?? []).map((cp) => ({ place_id: cp.place_id, added_at: cp.created_at })),
+    })),
+    submissions: submissionsRes.data ?? [],
+  };
+}
+
+/**
+ * Permanently deletes the signed-in account. Saves and collections go with
+ * it; submissions are kept without the submitter's details.
+ */
+export async function deleteAccount(user) {
+  requireUser(user);
+  const { error } = await supabase.rpc('delete_my_account');
+  if (error) throw error;
+  clearSavedCache(user);
+  // The server session is already gone; this just clears the local one
+  await supabase.auth.signOut({ scope: 'local' });
+}
+
+// ─── Saved places (Supabase, cached in localStorage) ─────────────────────────
+
+const listeners = new Set();
+const inFlightSyncs = new Map();
+
+/** Calls `listener` whenever the cached saved data changes. Returns an unsubscribe. */
+export function onSavedChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notifySavedChange() {
+  listeners.forEach((listener) => listener());
+}
+
+function readStore(key) {
   if (typeof window === 'undefined') return {};
-  return parseJSON(localStorage.getItem(SAVED_KEY), {});
+  return parseJSON(localStorage.getItem(key), {});
 }
 
-function setSavedStore(store) {
+function writeStore(key, store) {
   if (typeof window === 'undefined') return;
-  localStorage.setItem(SAVED_KEY, JSON.stringify(store));
+  localStorage.setItem(key, JSON.stringify(store));
 }
 
 function normalizeCollections(collections) {
@@ -76,6 +264,7 @@ function normalizeCollections(collections) {
         id: col.id || id,
         name: col.name || 'Collection',
         placeIds: Array.isArray(col.placeIds) ? col.placeIds : [],
+        shareSlug: col.shareSlug || null,
       };
       return [normalized.id, normalized];
     })
@@ -92,24 +281,185 @@ function normalizeEntry(entry) {
 }
 
 function getUserSavedData(user) {
-  if (!user) return { items: [], collections: {} };
-  const store = getSavedStore();
-  return normalizeEntry(store[user.email]);
+  if (!user?.id) return { items: [], collections: {} };
+  return normalizeEntry(readStore(CACHE_KEY)[user.id]);
 }
 
 function setUserSavedData(user, data) {
-  if (!user) return;
-  const store = getSavedStore();
-  store[user.email] = data;
-  setSavedStore(store);
+  if (!user?.id) return;
+  const store = readStore(CACHE_KEY);
+  store[user.id] = data;
+  writeStore(CACHE_KEY, store);
+  notifySavedChange();
+}
+
+function updateUserSavedData(user, update) {
+  const data = getUserSavedData(user);
+  update(data);
+  setUserSavedData(user, data);
+  return data;
+}
+
+function requireUser(user) {
+  if (!user?.id) throw new Error('Login required');
+}
+
+// Ids from the legacy store that still belong to a place; deleted places would
+// fail the place_id foreign key and take the whole migration down with them.
+async function filterExistingPlaceIds(ids) {
+  const candidates = Array.from(new Set(ids.map(String))).filter(isPlaceId);
+  if (!candidates.length) return new Set();
+  const { data, error } = await supabase.from('places').select('id').in('id', candidates);
+  if (error) throw error;
+  return new Set((data ?? []).map((row) => String(row.id)));
 }
 
-function generateCollectionId() {
-  return `${COLLECTION_PREFIX}-${Date.now().toString(36)}-${Math.random()
-    .toString(36)
-    .slice(2, 7)}`;
+// One-time move of the old email-keyed localStorage saves into Supabase.
+// Each part is dropped from the legacy store as soon as it's written, so a
+// failure partway through resumes on the next login without duplicating
+// anything; collections are also matched by name in case the write landed
+// but the local update didn't.
+async function migrateLegacySaves(user) {
+  const legacy = readStore(LEGACY_SAVED_KEY);
+  const entry = user.email ? legacy[user.email] : null;
+  if (!entry) return;
+  const remaining = normalizeEntry(entry);
+
+  function persist() {
+    if (!remaining.items.length && !Object.keys(remaining.collections).length) {
+      delete legacy[user.email];
+    } else {
+      legacy[user.email] = remaining;
+    }
+    writeStore(LEGACY_SAVED_KEY, legacy);
+  }
+
+  const existing = await filterExistingPlaceIds([
+    ...remaining.items,
+    ...Object.values(remaining.collections).flatMap((col) => col.placeIds),
+  ]);
+
+  const items = remaining.items.map(String).filter((id) => existing.has(id));
+  if (items.length) {
+    const { error } = await supabase
+      .from('saved_places')
+      .upsert(
+        items.map((placeId) => ({ user_id: user.id, place_id: placeId })),
+        { onConflict: 'user_id,place_id', ignoreDuplicates: true }
+      );
+    if (error) throw error;
+  }
+  remaining.items = [];
+  persist();
+
+  for (const [key, col] of Object.entries(remaining.collections)) {
+    const { data: found, error: findError } = await supabase
+      .from('collections')
+      .select('id')
+      .eq('user_id', user.id)
+      .eq('name', col.name)
+      .limit(1)
+      .maybeSingle();
+    if (findError) throw findError;
+
+    let collectionId = found?.id;
+    if (!collectionId) {
+      const { data: created, error } = await supabase
+        .from('collections')
+        .insert({ user_id: user.id, name: col.name })
+        .select('id')
+        .single();
+      if (error) throw error;
+      collectionId = created.id;
+    }
+
+    const placeIds = col.placeIds.map(String).filter((id) => existing.has(id));
+    if (placeIds.length) {
+      const { error: linkError } = await supabase.from('collection_places').upsert(
+        placeIds.map((placeId) => ({
+          collection_id: collectionId,
+          place_id: placeId,
+          user_id: user.id,
+        })),
+        { onConflict: 'collection_id,place_id', ignoreDuplicates: true }
+      );
+      if (linkError) throw linkError;
+    }
+
+    delete remaining.collections[key];
+    persist();
+  }
 }
 
+async function fetchSavedData(user) {
+  const [saved, cols] = await Promise.all([
+    supabase
+      .from('saved_places')
+      .select('place_id')
+      .eq('user_id', user.id)
+      .order('created_at'),
+    supabase
+      .from('collections')
+      .select('id, name, share_slug, collection_places(place_id)')
+      .eq('user_id', user.id)
+      .order('created_at'),
+  ]);
+  if (saved.error) throw saved.error;
+  if (cols.error) throw cols.error;
+
+  return {
+    items: (saved.data ?? []).map((row) => String(row.place_id)),
+    collections: Object.fromEntries(
+      (cols.data ?? []).map((col) => [
+        col.id,
+        {
+          id: col.id,
+          name: col.name,
+          placeIds: (col.collection_places ?? []).map((row) => String(row.place_id)),
+          shareSlug: col.share_slug || null,
+        },
+      ])
+    ),
+  };
+}
+
+/**
+ * Pulls the user's saves from Supabase into the local cache, moving any
+ * pre-Supabase localStorage saves up first. Concurrent calls share one request.
+ * On failure (e.g. offline) the cache is left as it was.
+ */
+export function syncSavedData(user) {
+  if (!user?.id) return Promise.resolve({ items: [], collections: {} });
+  if (inFlightSyncs.has(user.id)) return inFlightSyncs.get(user.id);
+
+  const sync = (async () => {
+    // A failed migration is retried next time; it mustn't hide what's already saved
+    try {
+      await migrateLegacySaves(user);
+    } catch (err) {
+      console.error('[saved] legacy migration failed:', err);
+    }
+    const data = await fetchSavedData(user);
+    setUserSavedData(user, data);
+    return data;
+  })().finally(() => inFlightSyncs.delete(user.id));
+
+  inFlightSyncs.set(user.id, sync);
+  return sync;
+}
+
+/** Drops a user's cached saves (on logout). */
+export function clearSavedCache(user) {
+  if (!user?.id) return;
+  const store = readStore(CACHE_KEY);
+  delete store[user.id];
+  writeStore(CACHE_KEY, store);
+  notifySavedChange();
+}
+
+// Reads below come from the cache and are synchronous; writes go to Supabase
+// first and only touch the cache once the server has accepted them.
+
 export function getSavedPlaceIds(user) {
   if (!user) return [];
   return getUserSavedData(user).items;
@@ -120,26 +470,33 @@ export function isPlaceSaved(user, placeId) {
   return getSavedPlaceIds(user).includes(String(placeId));
 }
 
-export function savePlace(user, placeId) {
-  if (!user) throw new Error('Login required');
-  const data = getUserSavedData(user);
-  const ids = new Set(data.items);
-  ids.add(String(placeId));
-  data.items = Array.from(ids);
-  setUserSavedData(user, data);
-  return data.items;
+export async function savePlace(user, placeId) {
+  requireUser(user);
+  const id = String(placeId);
+  const { error } = await supabase
+    .from('saved_places')
+    .upsert({ user_id: user.id, place_id: id }, { onConflict: 'user_id,place_id', ignoreDuplicates: true });
+  if (error) throw error;
+  return updateUserSavedData(user, (data) => {
+    if (!data.items.includes(id)) data.items.push(id);
+  }).items;
 }
 
-export function removeSavedPlace(user, placeId) {
-  if (!user) throw new Error('Login required');
+export async function removeSavedPlace(user, placeId) {
+  requireUser(user);
   const targetId = String(placeId);
-  const data = getUserSavedData(user);
-  data.items = data.items.filter((id) => id !== targetId);
-  Object.values(data.collections).forEach((collection) => {
-    collection.placeIds = (collection.placeIds ?? []).filter((id) => id !== targetId);
-  });
-  setUserSavedData(user, data);
-  return data.items;
+  const [saved, links] = await Promise.all([
+    supabase.from('saved_places').delete().eq('user_id', user.id).eq('place_id', targetId),
+    supabase.from('collection_places').delete().eq('user_id', user.id).eq('place_id', targetId),
+  ]);
+  if (saved.error) throw saved.error;
+  if (links.error) throw links.error;
+  return updateUserSavedData(user, (data) => {
+    data.items = data.items.filter((id) => id !== targetId);
+    Object.values(data.collections).forEach((collection) => {
+      collection.placeIds = (collection.placeIds ?? []).filter((id) => id !== targetId);
+    });
+  }).items;
 }
 
 export function getCollections(user) {
@@ -147,46 +504,74 @@ export function getCollections(user) {
   return Object.values(getUserSavedData(user).collections);
 }
 
-export function createCollection(user, name) {
-  if (!user) throw new Error('Login required');
+export async function createCollection(user, name) {
+  requireUser(user);
   const trimmed = name?.trim();
   if (!trimmed) throw new Error('Collection name is required.');
-  const data = getUserSavedData(user);
-  const id = generateCollectionId();
-  data.collections[id] = { id, name: trimmed, placeIds: [] };
-  setUserSavedData(user, data);
-  return data.collections[id];
+  const { data: created, error } = await supabase
+    .from('collections')
+    .insert({ user_id: user.id, name: trimmed })
+    .select('id, name')
+    .single();
+  if (error) throw error;
+  const collection = { id: created.id, name: created.name, placeIds: [], shareSlug: null };
+  updateUserSavedData(user, (data) => {
+    data.collections[collection.id] = collection;
+  });
+  return collection;
 }
 
-export function deleteCollection(user, collectionId) {
-  if (!user) throw new Error('Login required');
-  const data = getUserSavedData(user);
-  delete data.collections[collectionId];
-  setUserSavedData(user, data);
+export async function deleteCollection(user, collectionId) {
+  requireUser(user);
+  // collection_places rows go with it (on delete cascade)
+  const { error } = await supabase
+    .from('collections')
+    .delete()
+    .eq('user_id', user.id)
+    .eq('id', collectionId);
+  if (error) throw error;
+  updateUserSavedData(user, (data) => {
+    delete data.collections[collectionId];
+  });
 }
 
-export function addPlaceToCollection(user, collectionId, placeId) {
-  if (!user) throw new Error('Login required');
-  const data = getUserSavedData(user);
-  const collection = data.collections[collectionId];
-  if (!collection) throw new Error('Collection not found.');
-  if (!data.items.includes(String(placeId))) data.items.push(String(placeId));
-  const ids = new Set(collection.placeIds ?? []);
-  ids.add(String(placeId));
-  collection.placeIds = Array.from(ids);
-  data.collections[collectionId] = collection;
-  setUserSavedData(user, data);
+export async function addPlaceToCollection(user, collectionId, placeId) {
+  requireUser(user);
+  const id = String(placeId);
+  if (!getUserSavedData(user).collections[collectionId]) throw new Error('Collection not found.');
+  if (!isPlaceSaved(user, id)) await savePlace(user, id);
+  const { error } = await supabase
+    .from('collection_places')
+    .upsert(
+      { collection_id: collectionId, place_id: id, user_id: user.id },
+      { onConflict: 'collection_id,place_id', ignoreDuplicates: true }
+    );
+  if (error) throw error;
+  let collection;
+  updateUserSavedData(user, (data) => {
+    collection = data.collections[collectionId];
+    if (!collection) return;
+    const ids = new Set(collection.placeIds ?? []);
+    ids.add(id);
+    collection.placeIds = Array.from(ids);
+  });
   return collection;
 }
 
-export function removePlaceFromCollection(user, collectionId, placeId) {
-  if (!user) throw new Error('Login required');
-  const data = getUserSavedData(user);
-  const collection = data.collections[collectionId];
-  if (!collection) return;
-  collection.placeIds = (collection.placeIds ?? []).filter((id) => id !== String(placeId));
-  data.collections[collectionId] = collection;
-  setUserSavedData(user, data);
+export async function removePlaceFromCollection(user, collectionId, placeId) {
+  requireUser(user);
+  const id = String(placeId);
+  const { error } = await supabase
+    .from('collection_places')
+    .delete()
+    .eq('collection_id', collectionId)
+    .eq('place_id', id);
+  if (error) throw error;
+  updateUserSavedData(user, (data) => {
+    const collection = data.collections[collectionId];
+    if (!collection) return;
+    collection.placeIds = (collection.placeIds ?? []).filter((pid) => pid !== id);
+  });
 }
 
 export function getCollectionPlaceIds(user, collectionId) {
@@ -198,3 +583,90 @@ export function isPlaceInCollection(user, collectionId, placeId) {
   if (!user) return false;
   return getCollectionPlaceIds(user, collectionId).includes(String(placeId));
 }
+
+// ─── Shared collections ─────────────────────────────────────────────────────
+
+const SHARE_SLUG_ATTEMPTS = 3;
+
+function slugify(value) {
+  return (value || '')
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)+/g, '')
+    .slice(0, 40);
+}
+
+// Readable prefix plus a random suffix, so links can't be guessed from the name
+function generateShareSlug(name) {
+  const bytes = new Uint8Array(6);
+  crypto.getRandomValues(bytes);
+  const suffix = Array.from(bytes, (b) => (b % 36).toString(36)).join('');
+  const base = slugify(name);
+  return base ? `${base}-${suffix}` : suffix;
+}
+
+async function setShareSlug(user, collectionId, makeSlug) {
+  requireUser(user);
+  for (let attempt = 0; attempt < SHARE_SLUG_ATTEMPTS; attempt++) {
+    const shareSlug = makeSlug();
+    const { error } = await supabase
+      .from('collections')
+      .update({ share_slug: shareSlug })
+      .eq('user_id', user.id)
+      .eq('id', collectionId);
+    // 23505 = unique violation: another collection already has that slug
+    if (error?.code === '23505' && shareSlug) continue;
+    if (error) throw error;
+    updateUserSavedData(user, (data) => {
+      if (data.collections[collectionId]) data.collections[collectionId].shareSlug = shareSlug;
+    });
+    return shareSlug;
+  }
+  throw new Error('Unable to create a share link. Please try again.');
+}
+
+/** Absolute URL of a shared collection. */
+export function getCollectionShareUrl(shareSlug) {
+  const origin =
+    process.env.NEXT_PUBLIC_SITE_URL ||
+    (typeof window !== 'undefined' ? window.location.origin : '');
+  return `${origin}/collections/${encodeURIComponent(shareSlug)}`;
+}
+
+/** Makes a collection readable by anyone with its link. Keeps an existing link. */
+export function publishCollection(user, collectionId) {
+  const collection = getUserSavedData(user).collections[collectionId];
+  if (!collection) throw new Error('Collection not found.');
+  if (collection.shareSlug) return Promise.resolve(collection.shareSlug);
+  return setShareSlug(user, collectionId, () => generateShareSlug(collection.name));
+}
+
+/** Swaps the share link for a new one; the old link stops working. */
+export function regenerateCollectionShare(user, collectionId) {
+  const collection = getUserSavedData(user).collections[collectionId];
+  if (!collection) throw new Error('Collection not found.');
+  return setShareSlug(user, collectionId, () => generateShareSlug(collection.name));
+}
+
+/** Turns sharing off; the link stops working. */
+export function revokeCollectionShare(user, collectionId) {
+  return setShareSlug(user, collectionId, () => null);
+}
+
+/**
+ * Public read of a shared collection, for anonymous viewers.
+ * @returns {Promise<{ id: string, name: string, placeIds: string[] } | null>}
+ */
+export async function getSharedCollection(shareSlug) {
+  const { data, error } = await supabase.rpc('get_shared_collection', { slug: shareSlug });
+  if (error) throw error;
+  const row = Array.isArray(data) ? data[0] : data;
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    placeIds: (row.place_ids ?? []).map(String),
+  };
+}
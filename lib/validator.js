@@ -278,6 +278,28 @@ export function validateText(text, maxLength = 1000, required = false) {
   return trimmed;
 }
 
+/**
+ * Validates a free-text price range ("£5–15/meter", "Budget-friendly")
+ *
+ * @param {string} price - Price range to validate
+ * @returns {string|null} Price range with whitespace collapsed, or null if empty
+ * @throws {Error} If price range is invalid
+ *
+ * @example
+ * const safePrice = validatePriceRange(userInput);
+ */
+export function validatePriceRange(price) {
+  const text = validateText(price, 100, false);
+  if (!text) return null;
+
+  // Check for HTML/script tags (XSS prevention)
+  if (/<[^>]*>/.test(text)) {
+    throw new Error('Price range contains invalid characters (HTML tags not allowed)');
+  }
+
+  return text.replace(/\s+/g, ' ');
+}
+
 /**
  * Validates a number is within range
  *
@@ -312,6 +334,263 @@ export function validateNumber(value, min = -Infinity, max = Infinity) {
   return num;
 }
 
+/**
+ * Validates a map position
+ *
+ * @param {any} lat - Latitude in degrees
+ * @param {any} lng - Longitude in degrees
+ * @returns {{lat: number, lng: number}} Coordinates rounded to 6 decimals (~10cm)
+ * @throws {Error} If either value is missing or out of range
+ *
+ * @example
+ * const { lat, lng } = validateCoordinates(form.lat, form.lng);
+ */
+export function validateCoordinates(lat, lng) {
+  if (lat === null || lat === undefined || lat === '' || lng === null || lng === undefined || lng === '') {
+    throw new Error('Location is required');
+  }
+
+  const round = (n) => Math.round(n * 1e6) / 1e6;
+  try {
+    return {
+      lat: round(validateNumber(lat, -90, 90)),
+      lng: round(validateNumber(lng, -180, 180)),
+    };
+  } catch {
+    throw new Error('Location is invalid');
+  }
+}
+
+/**
+ * Place categories offered on the submit form and in admin review
+ */
+export const PLACE_CATEGORIES = [
+  'Fabric Shop',
+  'Leather',
+  'Services',
+  'Trimming',
+  'Knit/Embroidery',
+  'Markets',
+  'Online',
+];
+
+/**
+ * Validates a category against PLACE_CATEGORIES
+ *
+ * @param {string} category - Category to validate
+ * @returns {string} The matching category
+ * @throws {Error} If missing or not a known category
+ *
+ * @example
+ * const safeCategory = validateCategory(form.category);
+ */
+export function validateCategory(category) {
+  if (!category || typeof category !== 'string') {
+    throw new Error('Please select a category');
+  }
+
+  const match = PLACE_CATEGORIES.find((c) => c.toLowerCase() === category.trim().toLowerCase());
+  if (!match) {
+    throw new Error('Unknown category');
+  }
+
+  return match;
+}
+
+/**
+ * Validates a list of tags
+ *
+ * @param {string|string[]} tags - Comma-separated string or array of tags
+ * @returns {string[]|null} Trimmed, de-duplicated tags, or null if none
+ * @throws {Error} If there are too many tags or a tag is invalid
+ *
+ * @example
+ * const safeTags = validateTags('denim, deadstock, denim'); // ['denim', 'deadstock']
+ */
+export function validateTags(tags) {
+  const list = Array.isArray(tags) ? tags : (tags || '').toString().split(',');
+  const cleaned = [];
+
+  for (const raw of list) {
+    const tag = (raw ?? '').toString().trim().replace(/\s+/g, ' ');
+    if (!tag) continue;
+    if (tag.length > 30) {
+      throw new Error(`Tag "${tag.slice(0, 30)}…" is too long (maximum 30 characters)`);
+    }
+    if (/[<>]/.test(tag)) {
+      throw new Error('Tags contain invalid characters');
+    }
+    if (!cleaned.some((t) => t.toLowerCase() === tag.toLowerCase())) cleaned.push(tag);
+  }
+
+  if (cleaned.length > 10) {
+    throw new Error('Too many tags (maximum 10)');
+  }
+
+  return cleaned.length ? cleaned : null;
+}
+
+/**
+ * Validates a list of photo URLs
+ *
+ * @param {string|string[]} photos - One URL per line, or an array of URLs
+ * @returns {string[]|null} Validated URLs, or null if none
+ * @throws {Error} If there are too many photos or a URL is invalid
+ *
+ * @example
+ * const safePhotos = validatePhotoUrls(textarea.value);
+ */
+export function validatePhotoUrls(photos) {
+  const list = Array.isArray(photos) ? photos : (photos || '').toString().split('\n');
+  const urls = list.map((url) => (url ?? '').toString().trim()).filter(Boolean);
+
+  if (urls.length > 10) {
+    throw new Error('Too many photos (maximum 10)');
+  }
+
+  return urls.length ? urls.map((url) => validateUrl(url, true)) : null;
+}
+
+/**
+ * Validates an admin's edits to a pending submission
+ *
+ * @param {Object} data - Edited fields (form values)
+ * @returns {Object} Columns to write to place_submissions
+ * @throws {Error} If any field fails validation
+ *
+ * @example
+ * const changes = validateSubmissionEdit(formValues);
+ */
+export function validateSubmissionEdit(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid submission data');
+  }
+
+  const address = validateText(data.address, 300, false);
+  if (!address || address.length < 5) {
+    throw new Error('Please enter a valid address');
+  }
+
+  const pop_up = validateText(data.pop_up, 200, false);
+  if (!pop_up) {
+    throw new Error('Description is required');
+  }
+  const { lat, lng } = validateCoordinates(data.lat, data.lng);
+
+  return {
+    name: validateName(data.name, 2, 200),
+    category: validateCategory(data.category),
+    address,
+    lat,
+    lng,
+    website: validateUrl(data.website, false) || null,
+    pop_up,
+    tags: validateTags(data.tags),
+    opening_hours: validateText(data.opening_hours, 1000, false) || null,
+    photos: validatePhotoUrls(data.photos),
+  };
+}
+
+/**
+ * Validates a URL slug ("whaleys-bradford")
+ *
+ * @param {string} slug - Slug to validate
+ * @returns {string|null} Lower-cased slug, or null if empty
+ * @throws {Error} If slug has characters other than a-z, 0-9 and single hyphens
+ *
+ * @example
+ * const safeSlug = validateSlug(form.slug);
+ */
+export function validateSlug(slug) {
+  if (!slug || typeof slug !== 'string' || !slug.trim()) return null;
+
+  const trimmed = slug.trim().toLowerCase();
+
+  if (trimmed.length > 80) {
+    throw new Error('Slug is too long (maximum 80 characters)');
+  }
+
+  if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(trimmed)) {
+    throw new Error('Slug can only use letters, numbers and single hyphens');
+  }
+
+  // Would shadow a place id in /place/[id]
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(trimmed)) {
+    throw new Error('Slug cannot look like a place id');
+  }
+
+  return trimmed;
+}
+
+/**
+ * Validates an IANA time zone name
+ *
+ * @param {string} timeZone - e.g. "Europe/London"
+ * @returns {string|null} The time zone, or null if empty
+ * @throws {Error} If the runtime doesn't recognise the zone
+ *
+ * @example
+ * const safeZone = validateTimeZone(form.timezone);
+ */
+export function validateTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string' || !timeZone.trim()) return null;
+
+  const trimmed = timeZone.trim();
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: trimmed });
+  } catch {
+    throw new Error(`Unknown time zone "${trimmed}"`);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Validates an admin's edits to a published place
+ *
+ * @param {Object} data - Edited fields (form values)
+ * @returns {Object} Columns to write to places
+ * @throws {Error} If any field fails validation
+ *
+ * @example
+ * const changes = validatePlaceEdit(formValues);
+ */
+export function validatePlaceEdit(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid place data');
+  }
+
+  const address = validateText(data.address, 300, false);
+  const online = (data.category || '').toString().trim().toLowerCase() === 'online';
+  if (!online && (!address || address.length < 5)) {
+    throw new Error('Please enter a valid address');
+  }
+
+  const hasCoordinates = data.lat !== '' && data.lat != null && data.lng !== '' && data.lng != null;
+  const coordinates = hasCoordinates ? validateCoordinates(data.lat, data.lng) : { lat: null, lng: null };
+  if (!online && !hasCoordinates) {
+    throw new Error('Location is required');
+  }
+
+  return {
+    name: validateName(data.name, 2, 200),
+    slug: validateSlug(data.slug),
+    category: validateCategory(data.category),
+    address,
+    ...coordinates,
+    timezone: validateTimeZone(data.timezone),
+    website: validateUrl(data.website, false) || null,
+    phone: validatePhone(data.phone, false)?.replace(/\s+/g, ' ') ?? null,
+    pop_up: validateText(data.pop_up, 200, false),
+    more_info: validateText(data.more_info, 2000, false),
+    opening_hours: validateText(data.opening_hours, 1000, false),
+    average_price: validatePriceRange(data.average_price),
+    tags: validateTags(data.tags),
+    photos: validatePhotoUrls(data.photos),
+    permanently_closed: Boolean(data.permanently_closed),
+  };
+}
+
 /**
  * Validates a place submission object
  *
@@ -383,6 +662,35 @@ export function checkPasswordStrength(password) {
   return { strength, score, feedback };
 }
 
+/**
+ * Runs several validators and collects every failure by field, for forms that
+ * show errors next to each input instead of stopping at the first one
+ *
+ * @param {Object<string, Function>} checks - Field name → function returning the validated value or throwing
+ * @returns {{ values: Object, errors: Object<string, string>, valid: boolean }}
+ *
+ * @example
+ * const { values, errors, valid } = validateFields({
+ *   email: () => validateEmail(form.email),
+ *   password: () => validatePassword(form.password),
+ * });
+ * if (!valid) setFieldErrors(errors);
+ */
+export function validateFields(checks) {
+  const values = {};
+  const errors = {};
+
+  for (const [field, check] of Object.entries(checks)) {
+    try {
+      values[field] = check();
+    } catch (err) {
+      errors[field] = err.message || 'Invalid value';
+    }
+  }
+
+  return { values, errors, valid: Object.keys(errors).length === 0 };
+}
+
 /**
  * Sanitizes and validates collection name
  *
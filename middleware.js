@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { ACCESS_TOKEN_COOKIE, getLoginUrl, getRoleForToken } from '@/lib/session';
+import { hasCapability } from '@/lib/roles';
+
+// Path prefix → capability needed to open it (every role can do the
+// contributor ones, so those just need a session)
+const PROTECTED_ROUTES = [
+  { prefix: '/admin', capability: 'access_admin' },
+  { prefix: '/submit', capability: 'submit_place' },
+  { prefix: '/submissions', capability: 'manage_own_submissions' },
+  { prefix: '/saved', capability: null },
+];
+
+function findRoute(pathname) {
+  return PROTECTED_ROUTES.find(
+    ({ prefix }) => pathname === prefix || pathname.startsWith(`${prefix}/`)
+  );
+}
+
+export async function middleware(request) {
+  const { pathname, search } = request.nextUrl;
+  const route = findRoute(pathname);
+  if (!route) return NextResponse.next();
+
+  let role;
+  try {
+    role = await getRoleForToken(request.cookies.get(ACCESS_TOKEN_COOKIE)?.value);
+  } catch (err) {
+    // Supabase unreachable: let the page's own check and RLS handle it
+    console.error('[middleware] role lookup failed:', err);
+    return NextResponse.next();
+  }
+
+  if (!role) {
+    const response = NextResponse.redirect(new URL(getLoginUrl(pathname + search), request.url));
+    // Expired or revoked; the browser will write a fresh one after logging in
+    response.cookies.delete(ACCESS_TOKEN_COOKIE);
+    return response;
+  }
+  if (route.capability && !hasCapability(role, route.capability)) {
+    return NextResponse.redirect(new URL('/', request.url));
+  }
+  return NextResponse.next();
+}
+
+export const config = {
+  matcher: ['/admin/:path*', '/submit/:path*', '/submissions/:path*', '/saved/:path*'],
+};
@@ -0,0 +1,80 @@
+-- Carry phone, opening hours and price range from submissions through to places.
+
+alter table public.place_submissions
+  add column if not exists phone text,
+  add column if not exists opening_hours text,
+  add column if not exists average_price text;
+
+alter table public.places
+  add column if not exists phone text,
+  add column if not exists opening_hours text,
+  add column if not exists average_price text;
+
+-- URL slug for a new place from its name ("Whaley's Bradford" → "whaley-s-bradford"),
+-- numbered when it's taken ("whaley-s-bradford-2"). Null when the name has no
+-- letters or digits; the place page falls back to the id.
+create or replace function public.unique_place_slug(place_name text)
+returns text
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  base text := trim(both '-' from regexp_replace(lower(coalesce(place_name, '')), '[^a-z0-9]+', '-', 'g'));
+  candidate text;
+  n int := 1;
+begin
+  if base = '' then
+    return null;
+  end if;
+  candidate := base;
+  while exists (select 1 from public.places where slug = candidate) loop
+    n := n + 1;
+    candidate := base || '-' || n;
+  end loop;
+  return candidate;
+end;
+$$;
+
+revoke execute on function public.unique_place_slug(text) from public, anon, authenticated;
+
+-- create or replace keeps the function's existing grants
+create or replace function public.promote_submission(submission_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+  new_place_id uuid;
+begin
+  if not exists (
+    select 1 from public.user_profiles where id = auth.uid() and role = 'admin'
+  ) then
+    raise exception 'Admin access required';
+  end if;
+
+  select * into sub from public.place_submissions where id = submission_id for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Submission is already %', sub.status;
+  end if;
+
+  insert into public.places (
+    name, slug, category, address, website, phone, opening_hours, average_price,
+    pop_up, more_info, tags
+  )
+  values (
+    sub.name, public.unique_place_slug(sub.name), sub.category, sub.address, sub.website,
+    sub.phone, sub.opening_hours, sub.average_price, sub.pop_up, sub.more_info, sub.tags
+  )
+  returning id into new_place_id;
+
+  update public.place_submissions set status = 'approved' where id = submission_id;
+
+  return new_place_id;
+end;
+$$;
@@ -0,0 +1,5 @@
+-- Optional per-place IANA time zone for open/closed status.
+-- Null means Europe/London, the default in lib/hours.js.
+
+alter table public.places
+  add column if not exists timezone text;
@@ -0,0 +1,61 @@
+-- Saved places and collections, per user. Replaces the localStorage store in
+-- lib/storage.js, which now only keeps an offline copy.
+--
+-- RLS assumptions lib/storage.js relies on:
+--   * every row carries user_id and is only visible/writable when
+--     user_id = auth.uid(); anonymous users see nothing
+--   * collection_places.user_id must match the owning collection, so a user
+--     can't attach places to someone else's collection
+--   * deleting a collection or a place cascades to collection_places
+
+create table if not exists public.saved_places (
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  place_id uuid not null references public.places (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, place_id)
+);
+
+create table if not exists public.collections (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  name text not null check (char_length(name) between 1 and 50),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists collections_user_id_idx on public.collections (user_id);
+
+create table if not exists public.collection_places (
+  collection_id uuid not null references public.collections (id) on delete cascade,
+  place_id uuid not null references public.places (id) on delete cascade,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (collection_id, place_id)
+);
+
+create index if not exists collection_places_user_place_idx
+  on public.collection_places (user_id, place_id);
+
+alter table public.saved_places enable row level security;
+alter table public.collections enable row level security;
+alter table public.collection_places enable row level security;
+
+create policy "Users manage their saved places"
+  on public.saved_places for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+create policy "Users manage their collections"
+  on public.collections for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+create policy "Users manage places in their collections"
+  on public.collection_places for all
+  using (user_id = auth.uid())
+  with check (
+    user_id = auth.uid()
+    and exists (
+      select 1 from public.collections c
+      where c.id = collection_id and c.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,25 @@
+-- Read-only share links for collections. A collection is shared while
+-- share_slug is set; clearing or replacing the slug revokes the old link.
+
+alter table public.collections
+  add column if not exists share_slug text unique;
+
+-- Anonymous viewers go through this function rather than table policies, so
+-- they only ever see the name and place ids of a shared collection, never its
+-- owner or any unshared collection.
+create or replace function public.get_shared_collection(slug text)
+returns table (id uuid, name text, place_ids uuid[])
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select c.id, c.name,
+    coalesce(array_agg(cp.place_id order by cp.created_at) filter (where cp.place_id is not null), '{}')
+  from public.collections c
+  left join public.collection_places cp on cp.collection_id = c.id
+  where c.share_slug = slug
+  group by c.id, c.name;
+$$;
+
+grant execute on function public.get_shared_collection(text) to anon, authenticated;
@@ -0,0 +1,18 @@
+-- Lets signed-in submitters check their new place against the review queue.
+-- place_submissions RLS only shows people their own rows, so this exposes
+-- just the name and address of pending rows (no submitter details).
+
+create or replace function public.get_pending_submission_names()
+returns table (id uuid, name text, address text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select s.id, s.name, s.address
+  from public.place_submissions s
+  where s.status = 'pending';
+$$;
+
+revoke execute on function public.get_pending_submission_names() from public, anon;
+grant execute on function public.get_pending_submission_names() to authenticated;
@@ -0,0 +1,52 @@
+-- Submitters confirm a map pin for the address; approval publishes it as-is.
+
+alter table public.place_submissions
+  add column if not exists lat double precision,
+  add column if not exists lng double precision;
+
+alter table public.place_submissions
+  add constraint place_submissions_lat_range check (lat is null or lat between -90 and 90),
+  add constraint place_submissions_lng_range check (lng is null or lng between -180 and 180);
+
+create or replace function public.promote_submission(submission_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+  new_place_id uuid;
+begin
+  if not exists (
+    select 1 from public.user_profiles where id = auth.uid() and role = 'admin'
+  ) then
+    raise exception 'Admin access required';
+  end if;
+
+  select * into sub from public.place_submissions where id = submission_id for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Submission is already %', sub.status;
+  end if;
+
+  insert into public.places (
+    name, slug, category, address, lat, lng, website, phone, opening_hours, average_price,
+    pop_up, more_info, tags
+  )
+  values (
+    sub.name, public.unique_place_slug(sub.name), sub.category, sub.address, sub.lat,
+    sub.lng, sub.website, sub.phone, sub.opening_hours, sub.average_price, sub.pop_up,
+    sub.more_info, sub.tags
+  )
+  returning id into new_place_id;
+
+  update public.place_submissions set status = 'approved' where id = submission_id;
+
+  return new_place_id;
+end;
+$$;
+
+grant execute on function public.promote_submission(uuid) to authenticated;
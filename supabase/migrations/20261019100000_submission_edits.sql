@@ -0,0 +1,119 @@
+-- Admins can correct a pending submission before approving it. The first edit
+-- snapshots the submitter's values into original_values, so the audit trail
+-- always shows what was actually submitted.
+
+alter table public.place_submissions
+  add column if not exists photos text[],
+  add column if not exists original_values jsonb,
+  add column if not exists edited_by uuid references auth.users (id),
+  add column if not exists edited_at timestamptz;
+
+-- `changes` holds only the keys being edited; a key set to null clears it.
+create or replace function public.update_submission(submission_id uuid, changes jsonb)
+returns public.place_submissions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+begin
+  if not exists (
+    select 1 from public.user_profiles where id = auth.uid() and role = 'admin'
+  ) then
+    raise exception 'Admin access required';
+  end if;
+
+  select * into sub from public.place_submissions where id = submission_id for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Submission is already %', sub.status;
+  end if;
+
+  update public.place_submissions s set
+    original_values = coalesce(s.original_values, jsonb_build_object(
+      'name', sub.name,
+      'category', sub.category,
+      'address', sub.address,
+      'lat', sub.lat,
+      'lng', sub.lng,
+      'website', sub.website,
+      'pop_up', sub.pop_up,
+      'tags', to_jsonb(sub.tags),
+      'opening_hours', sub.opening_hours,
+      'photos', to_jsonb(sub.photos)
+    )),
+    name = case when changes ? 'name' then changes->>'name' else s.name end,
+    category = case when changes ? 'category' then changes->>'category' else s.category end,
+    address = case when changes ? 'address' then changes->>'address' else s.address end,
+    lat = case when changes ? 'lat' then (changes->>'lat')::double precision else s.lat end,
+    lng = case when changes ? 'lng' then (changes->>'lng')::double precision else s.lng end,
+    website = case when changes ? 'website' then changes->>'website' else s.website end,
+    pop_up = case when changes ? 'pop_up' then changes->>'pop_up' else s.pop_up end,
+    opening_hours = case when changes ? 'opening_hours' then changes->>'opening_hours' else s.opening_hours end,
+    tags = case
+      when not changes ? 'tags' then s.tags
+      when jsonb_typeof(changes->'tags') = 'array'
+        then array(select jsonb_array_elements_text(changes->'tags'))
+      else null
+    end,
+    photos = case
+      when not changes ? 'photos' then s.photos
+      when jsonb_typeof(changes->'photos') = 'array'
+        then array(select jsonb_array_elements_text(changes->'photos'))
+      else null
+    end,
+    edited_by = auth.uid(),
+    edited_at = now()
+  where s.id = submission_id
+  returning s.* into sub;
+
+  return sub;
+end;
+$$;
+
+grant execute on function public.update_submission(uuid, jsonb) to authenticated;
+
+-- Publish the (possibly edited) values, photos included.
+create or replace function public.promote_submission(submission_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+  new_place_id uuid;
+begin
+  if not exists (
+    select 1 from public.user_profiles where id = auth.uid() and role = 'admin'
+  ) then
+    raise exception 'Admin access required';
+  end if;
+
+  select * into sub from public.place_submissions where id = submission_id for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Submission is already %', sub.status;
+  end if;
+
+  insert into public.places (
+    name, slug, category, address, lat, lng, website, phone, opening_hours, average_price,
+    pop_up, more_info, tags, photos
+  )
+  values (
+    sub.name, public.unique_place_slug(sub.name), sub.category, sub.address, sub.lat,
+    sub.lng, sub.website, sub.phone, sub.opening_hours, sub.average_price, sub.pop_up,
+    sub.more_info, sub.tags, sub.photos
+  )
+  returning id into new_place_id;
+
+  update public.place_submissions set status = 'approved' where id = submission_id;
+
+  return new_place_id;
+end;
+$$;
@@ -0,0 +1,106 @@
+-- Record why a submission was rejected, so the submitter can be told.
+
+alter table public.place_submissions
+  add column if not exists rejection_reason text,
+  add column if not exists rejection_note text,
+  add column if not exists reviewed_by uuid references auth.users (id),
+  add column if not exists reviewed_at timestamptz;
+
+alter table public.place_submissions
+  add constraint place_submissions_rejection_reason_check check (
+    rejection_reason is null
+    or rejection_reason in ('duplicate', 'closed', 'out_of_scope', 'insufficient_info', 'other')
+  );
+
+drop function if exists public.reject_submission(uuid);
+
+create function public.reject_submission(
+  submission_id uuid,
+  reason text,
+  note text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+begin
+  if not exists (
+    select 1 from public.user_profiles where id = auth.uid() and role = 'admin'
+  ) then
+    raise exception 'Admin access required';
+  end if;
+
+  select * into sub from public.place_submissions where id = submission_id for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Submission is already %', sub.status;
+  end if;
+  if reason is null then
+    raise exception 'A rejection reason is required';
+  end if;
+  if reason = 'other' and coalesce(btrim(note), '') = '' then
+    raise exception 'Add a note explaining the rejection';
+  end if;
+
+  update public.place_submissions
+  set status = 'rejected',
+      rejection_reason = reason,
+      rejection_note = nullif(btrim(note), ''),
+      reviewed_by = auth.uid(),
+      reviewed_at = now()
+  where id = submission_id;
+end;
+$$;
+
+grant execute on function public.reject_submission(uuid, text, text) to authenticated;
+
+-- Approvals record the reviewer too.
+create or replace function public.promote_submission(submission_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+  new_place_id uuid;
+begin
+  if not exists (
+    select 1 from public.user_profiles where id = auth.uid() and role = 'admin'
+  ) then
+    raise exception 'Admin access required';
+  end if;
+
+  select * into sub from public.place_submissions where id = submission_id for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Submission is already %', sub.status;
+  end if;
+
+  insert into public.places (
+    name, slug, category, address, lat, lng, website, phone, opening_hours, average_price,
+    pop_up, more_info, tags, photos
+  )
+  values (
+    sub.name, public.unique_place_slug(sub.name), sub.category, sub.address, sub.lat,
+    sub.lng, sub.website, sub.phone, sub.opening_hours, sub.average_price, sub.pop_up,
+    sub.more_info, sub.tags, sub.photos
+  )
+  returning id into new_place_id;
+
+  update public.place_submissions
+  set status = 'approved',
+      reviewed_by = auth.uid(),
+      reviewed_at = now()
+  where id = submission_id;
+
+  return new_place_id;
+end;
+$$;
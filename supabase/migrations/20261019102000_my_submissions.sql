@@ -0,0 +1,122 @@
+-- Contributors can follow their own submissions: see the outcome, open the
+-- published place, and edit or withdraw while it's still pending.
+
+alter table public.place_submissions
+  add column if not exists place_id uuid references public.places (id) on delete set null;
+
+alter table public.place_submissions
+  drop constraint if exists place_submissions_status_check;
+alter table public.place_submissions
+  add constraint place_submissions_status_check
+  check (status in ('pending', 'approved', 'rejected', 'withdrawn'));
+
+drop policy if exists "Submitters can read their own submissions" on public.place_submissions;
+create policy "Submitters can read their own submissions"
+  on public.place_submissions for select
+  to authenticated
+  using (submitted_by = auth.uid());
+
+-- Submitter edits go through this function rather than an update policy, so
+-- status, review fields and submitter columns can't be touched.
+create or replace function public.update_own_submission(submission_id uuid, changes jsonb)
+returns public.place_submissions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+begin
+  select * into sub from public.place_submissions
+  where id = submission_id and submitted_by = auth.uid()
+  for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Only pending submissions can be edited';
+  end if;
+
+  update public.place_submissions s set
+    name = case when changes ? 'name' then changes->>'name' else s.name end,
+    category = case when changes ? 'category' then changes->>'category' else s.category end,
+    address = case when changes ? 'address' then changes->>'address' else s.address end,
+    lat = case when changes ? 'lat' then (changes->>'lat')::double precision else s.lat end,
+    lng = case when changes ? 'lng' then (changes->>'lng')::double precision else s.lng end,
+    website = case when changes ? 'website' then changes->>'website' else s.website end,
+    phone = case when changes ? 'phone' then changes->>'phone' else s.phone end,
+    pop_up = case when changes ? 'pop_up' then changes->>'pop_up' else s.pop_up end,
+    opening_hours = case when changes ? 'opening_hours' then changes->>'opening_hours' else s.opening_hours end,
+    average_price = case when changes ? 'average_price' then changes->>'average_price' else s.average_price end
+  where s.id = submission_id
+  returning s.* into sub;
+
+  return sub;
+end;
+$$;
+
+create or replace function public.withdraw_submission(submission_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.place_submissions
+  set status = 'withdrawn'
+  where id = submission_id and submitted_by = auth.uid() and status = 'pending';
+  if not found then
+    raise exception 'Only your pending submissions can be withdrawn';
+  end if;
+end;
+$$;
+
+grant execute on function public.update_own_submission(uuid, jsonb) to authenticated;
+grant execute on function public.withdraw_submission(uuid) to authenticated;
+
+-- Remember which place an approval published, for the submitter's link.
+create or replace function public.promote_submission(submission_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+  new_place_id uuid;
+begin
+  if not exists (
+    select 1 from public.user_profiles where id = auth.uid() and role = 'admin'
+  ) then
+    raise exception 'Admin access required';
+  end if;
+
+  select * into sub from public.place_submissions where id = submission_id for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Submission is already %', sub.status;
+  end if;
+
+  insert into public.places (
+    name, slug, category, address, lat, lng, website, phone, opening_hours, average_price,
+    pop_up, more_info, tags, photos
+  )
+  values (
+    sub.name, public.unique_place_slug(sub.name), sub.category, sub.address, sub.lat,
+    sub.lng, sub.website, sub.phone, sub.opening_hours, sub.average_price, sub.pop_up,
+    sub.more_info, sub.tags, sub.photos
+  )
+  returning id into new_place_id;
+
+  update public.place_submissions
+  set status = 'approved',
+      place_id = new_place_id,
+      reviewed_by = auth.uid(),
+      reviewed_at = now()
+  where id = submission_id;
+
+  return new_place_id;
+end;
+$$;
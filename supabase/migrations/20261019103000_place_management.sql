@@ -0,0 +1,108 @@
+-- Admin management of published places: editing, unpublishing (soft delete)
+-- and a "permanently closed" flag that keeps the page but drops the pin.
+
+alter table public.places
+  add column if not exists unpublished_at timestamptz,
+  add column if not exists permanently_closed boolean not null default false,
+  add column if not exists updated_at timestamptz not null default now();
+
+create unique index if not exists places_slug_key
+  on public.places (slug) where slug is not null;
+
+-- Restrictive, so it applies on top of whatever select policy already exists:
+-- unpublished places are invisible to everyone except admins.
+drop policy if exists "Unpublished places are admin-only" on public.places;
+create policy "Unpublished places are admin-only"
+  on public.places as restrictive for select
+  using (
+    unpublished_at is null
+    or exists (select 1 from public.user_profiles where id = auth.uid() and role = 'admin')
+  );
+
+-- `changes` holds only the keys being edited; a key set to null clears it.
+create or replace function public.update_place(place_id uuid, changes jsonb)
+returns public.places
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  updated public.places%rowtype;
+begin
+  if not exists (
+    select 1 from public.user_profiles where id = auth.uid() and role = 'admin'
+  ) then
+    raise exception 'Admin access required';
+  end if;
+
+  update public.places p set
+    name = case when changes ? 'name' then changes->>'name' else p.name end,
+    slug = case when changes ? 'slug' then changes->>'slug' else p.slug end,
+    category = case when changes ? 'category' then changes->>'category' else p.category end,
+    address = case when changes ? 'address' then changes->>'address' else p.address end,
+    lat = case when changes ? 'lat' then (changes->>'lat')::double precision else p.lat end,
+    lng = case when changes ? 'lng' then (changes->>'lng')::double precision else p.lng end,
+    timezone = case when changes ? 'timezone' then changes->>'timezone' else p.timezone end,
+    website = case when changes ? 'website' then changes->>'website' else p.website end,
+    phone = case when changes ? 'phone' then changes->>'phone' else p.phone end,
+    pop_up = case when changes ? 'pop_up' then changes->>'pop_up' else p.pop_up end,
+    more_info = case when changes ? 'more_info' then changes->>'more_info' else p.more_info end,
+    opening_hours = case when changes ? 'opening_hours' then changes->>'opening_hours' else p.opening_hours end,
+    average_price = case when changes ? 'average_price' then changes->>'average_price' else p.average_price end,
+    tags = case
+      when not changes ? 'tags' then p.tags
+      when jsonb_typeof(changes->'tags') = 'array'
+        then array(select jsonb_array_elements_text(changes->'tags'))
+      else null
+    end,
+    photos = case
+      when not changes ? 'photos' then p.photos
+      when jsonb_typeof(changes->'photos') = 'array'
+        then array(select jsonb_array_elements_text(changes->'photos'))
+      else null
+    end,
+    permanently_closed = case
+      when changes ? 'permanently_closed' then coalesce((changes->>'permanently_closed')::boolean, false)
+      else p.permanently_closed
+    end,
+    updated_at = now()
+  where p.id = place_id
+  returning p.* into updated;
+
+  if not found then
+    raise exception 'Place not found';
+  end if;
+  return updated;
+end;
+$$;
+
+create or replace function public.set_place_published(place_id uuid, published boolean)
+returns public.places
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  updated public.places%rowtype;
+begin
+  if not exists (
+    select 1 from public.user_profiles where id = auth.uid() and role = 'admin'
+  ) then
+    raise exception 'Admin access required';
+  end if;
+
+  update public.places p
+  set unpublished_at = case when published then null else coalesce(p.unpublished_at, now()) end,
+      updated_at = now()
+  where p.id = place_id
+  returning p.* into updated;
+
+  if not found then
+    raise exception 'Place not found';
+  end if;
+  return updated;
+end;
+$$;
+
+grant execute on function public.update_place(uuid, jsonb) to authenticated;
+grant execute on function public.set_place_published(uuid, boolean) to authenticated;
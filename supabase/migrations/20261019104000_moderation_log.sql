@@ -0,0 +1,163 @@
+-- Audit trail for moderation: who approved, rejected, edited, unpublished or
+-- changed a role, when, and what the row looked like before and after.
+-- Written by triggers so every path (RPCs, dashboard, future code) is covered.
+
+create table if not exists public.moderation_log (
+  id bigint generated always as identity primary key,
+  created_at timestamptz not null default now(),
+  actor_id uuid references auth.users (id) on delete set null,
+  actor_email text,
+  action text not null check (
+    action in ('approve', 'reject', 'edit_submission', 'edit_place', 'unpublish', 'republish', 'role_change')
+  ),
+  target_type text not null check (target_type in ('submission', 'place', 'user')),
+  target_id text not null,
+  target_name text,
+  before jsonb,
+  after jsonb
+);
+
+create index if not exists moderation_log_created_at_idx on public.moderation_log (created_at desc);
+create index if not exists moderation_log_target_idx on public.moderation_log (target_type, target_id);
+create index if not exists moderation_log_actor_idx on public.moderation_log (actor_id);
+
+alter table public.moderation_log enable row level security;
+
+-- Read-only for admins; rows are only ever inserted by the triggers below.
+drop policy if exists "Admins can read the moderation log" on public.moderation_log;
+create policy "Admins can read the moderation log"
+  on public.moderation_log for select
+  to authenticated
+  using (exists (select 1 from public.user_profiles where id = auth.uid() and role = 'admin'));
+
+-- Keys whose values differ between two rows, as { before, after } objects
+-- holding just those keys. Bookkeeping columns are left out.
+create or replace function public.jsonb_row_diff(old_row jsonb, new_row jsonb, out before jsonb, out after jsonb)
+language sql
+immutable
+as $$
+  select
+    coalesce(jsonb_object_agg(key, old_row->key), '{}'::jsonb),
+    coalesce(jsonb_object_agg(key, new_row->key), '{}'::jsonb)
+  from jsonb_object_keys(old_row || new_row) as key
+  where key not in ('updated_at', 'edited_at', 'edited_by', 'search_vector')
+    and (old_row->key) is distinct from (new_row->key);
+$$;
+
+create or replace function public.log_moderation(
+  action text,
+  target_type text,
+  target_id text,
+  target_name text,
+  old_row jsonb,
+  new_row jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  diff record;
+begin
+  select * into diff from public.jsonb_row_diff(old_row, new_row);
+  insert into public.moderation_log (actor_id, actor_email, action, target_type, target_id, target_name, before, after)
+  values (
+    auth.uid(),
+    coalesce(auth.jwt()->>'email', (select email from auth.users where id = auth.uid())),
+    action, target_type, target_id, target_name, diff.before, diff.after
+  );
+end;
+$$;
+
+-- Only the triggers below may write to the log. Supabase grants execute on
+-- new public functions to anon and authenticated directly, so revoking from
+-- public alone would leave log_moderation callable through the API.
+revoke all on function public.log_moderation(text, text, text, text, jsonb, jsonb)
+  from public, anon, authenticated;
+revoke all on function public.jsonb_row_diff(jsonb, jsonb) from public, anon, authenticated;
+
+-- Submissions: status changes made by the review RPCs, plus admin edits.
+-- Submitter edits and withdrawals aren't moderation, so they're skipped.
+create or replace function public.log_submission_moderation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  action text;
+begin
+  if not exists (select 1 from public.user_profiles where id = auth.uid() and role = 'admin') then
+    return new;
+  end if;
+
+  if new.status is distinct from old.status and new.status = 'approved' then
+    action := 'approve';
+  elsif new.status is distinct from old.status and new.status = 'rejected' then
+    action := 'reject';
+  elsif new.edited_at is distinct from old.edited_at then
+    action := 'edit_submission';
+  else
+    return new;
+  end if;
+
+  perform public.log_moderation(action, 'submission', new.id::text, new.name, to_jsonb(old), to_jsonb(new));
+  return new;
+end;
+$$;
+
+drop trigger if exists place_submissions_moderation_log on public.place_submissions;
+create trigger place_submissions_moderation_log
+  after update on public.place_submissions
+  for each row execute function public.log_submission_moderation();
+
+create or replace function public.log_place_moderation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  action text;
+begin
+  if new.unpublished_at is distinct from old.unpublished_at then
+    action := case when new.unpublished_at is null then 'republish' else 'unpublish' end;
+  else
+    action := 'edit_place';
+  end if;
+
+  perform public.log_moderation(action, 'place', new.id::text, new.name, to_jsonb(old), to_jsonb(new));
+  return new;
+end;
+$$;
+
+drop trigger if exists places_moderation_log on public.places;
+create trigger places_moderation_log
+  after update on public.places
+  for each row
+  when (old.* is distinct from new.*)
+  execute function public.log_place_moderation();
+
+create or replace function public.log_role_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.log_moderation(
+    'role_change', 'user', new.id::text,
+    (select email from auth.users where id = new.id),
+    jsonb_build_object('role', old.role), jsonb_build_object('role', new.role)
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists user_profiles_role_log on public.user_profiles;
+create trigger user_profiles_role_log
+  after update of role on public.user_profiles
+  for each row
+  when (old.role is distinct from new.role)
+  execute function public.log_role_change();
@@ -0,0 +1,299 @@
+-- Roles beyond a single "admin": contributors submit places, moderators
+-- review submissions and read the activity log, admins also manage published
+-- places and grant roles. Capabilities per role live in lib/roles.js; the
+-- database only needs to know the ordering.
+
+update public.user_profiles
+set role = 'contributor'
+where role is null or role not in ('contributor', 'moderator', 'admin');
+
+alter table public.user_profiles
+  alter column role set default 'contributor',
+  alter column role set not null;
+
+alter table public.user_profiles
+  drop constraint if exists user_profiles_role_check;
+alter table public.user_profiles
+  add constraint user_profiles_role_check check (role in ('contributor', 'moderator', 'admin'));
+
+-- Signed-in users without a profile row are contributors.
+create or replace function public.current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when auth.uid() is null then null
+    else coalesce((select role from public.user_profiles where id = auth.uid()), 'contributor')
+  end;
+$$;
+
+-- True when the caller's role is `required` or above.
+create or replace function public.has_role(required text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    array_position(array['contributor', 'moderator', 'admin'], public.current_user_role())
+      >= array_position(array['contributor', 'moderator', 'admin'], required),
+    false
+  );
+$$;
+
+grant execute on function public.current_user_role() to authenticated;
+grant execute on function public.has_role(text) to authenticated;
+
+-- ── Moderators can work the submission queue ──────────────────────────────
+
+drop policy if exists "Moderators can read submissions" on public.place_submissions;
+create policy "Moderators can read submissions"
+  on public.place_submissions for select
+  to authenticated
+  using (public.has_role('moderator'));
+
+drop policy if exists "Admins can read the moderation log" on public.moderation_log;
+drop policy if exists "Moderators can read the moderation log" on public.moderation_log;
+create policy "Moderators can read the moderation log"
+  on public.moderation_log for select
+  to authenticated
+  using (public.has_role('moderator'));
+
+create or replace function public.promote_submission(submission_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+  new_place_id uuid;
+begin
+  if not public.has_role('moderator') then
+    raise exception 'Moderator access required';
+  end if;
+
+  select * into sub from public.place_submissions where id = submission_id for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Submission is already %', sub.status;
+  end if;
+
+  insert into public.places (
+    name, slug, category, address, lat, lng, website, phone, opening_hours, average_price,
+    pop_up, more_info, tags, photos
+  )
+  values (
+    sub.name, public.unique_place_slug(sub.name), sub.category, sub.address, sub.lat,
+    sub.lng, sub.website, sub.phone, sub.opening_hours, sub.average_price, sub.pop_up,
+    sub.more_info, sub.tags, sub.photos
+  )
+  returning id into new_place_id;
+
+  update public.place_submissions
+  set status = 'approved',
+      place_id = new_place_id,
+      reviewed_by = auth.uid(),
+      reviewed_at = now()
+  where id = submission_id;
+
+  return new_place_id;
+end;
+$$;
+
+create or replace function public.reject_submission(
+  submission_id uuid,
+  reason text,
+  note text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+begin
+  if not public.has_role('moderator') then
+    raise exception 'Moderator access required';
+  end if;
+
+  select * into sub from public.place_submissions where id = submission_id for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Submission is already %', sub.status;
+  end if;
+  if reason is null then
+    raise exception 'A rejection reason is required';
+  end if;
+  if reason = 'other' and coalesce(btrim(note), '') = '' then
+    raise exception 'Add a note explaining the rejection';
+  end if;
+
+  update public.place_submissions
+  set status = 'rejected',
+      rejection_reason = reason,
+      rejection_note = nullif(btrim(note), ''),
+      reviewed_by = auth.uid(),
+      reviewed_at = now()
+  where id = submission_id;
+end;
+$$;
+
+create or replace function public.update_submission(submission_id uuid, changes jsonb)
+returns public.place_submissions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  sub public.place_submissions%rowtype;
+begin
+  if not public.has_role('moderator') then
+    raise exception 'Moderator access required';
+  end if;
+
+  select * into sub from public.place_submissions where id = submission_id for update;
+  if not found then
+    raise exception 'Submission not found';
+  end if;
+  if sub.status <> 'pending' then
+    raise exception 'Submission is already %', sub.status;
+  end if;
+
+  update public.place_submissions s set
+    original_values = coalesce(s.original_values, jsonb_build_object(
+      'name', sub.name,
+      'category', sub.category,
+      'address', sub.address,
+      'lat', sub.lat,
+      'lng', sub.lng,
+      'website', sub.website,
+      'pop_up', sub.pop_up,
+      'tags', to_jsonb(sub.tags),
+      'opening_hours', sub.opening_hours,
+      'photos', to_jsonb(sub.photos)
+    )),
+    name = case when changes ? 'name' then changes->>'name' else s.name end,
+    category = case when changes ? 'category' then changes->>'category' else s.category end,
+    address = case when changes ? 'address' then changes->>'address' else s.address end,
+    lat = case when changes ? 'lat' then (changes->>'lat')::double precision else s.lat end,
+    lng = case when changes ? 'lng' then (changes->>'lng')::double precision else s.lng end,
+    website = case when changes ? 'website' then changes->>'website' else s.website end,
+    pop_up = case when changes ? 'pop_up' then changes->>'pop_up' else s.pop_up end,
+    opening_hours = case when changes ? 'opening_hours' then changes->>'opening_hours' else s.opening_hours end,
+    tags = case
+      when not changes ? 'tags' then s.tags
+      when jsonb_typeof(changes->'tags') = 'array'
+        then array(select jsonb_array_elements_text(changes->'tags'))
+      else null
+    end,
+    photos = case
+      when not changes ? 'photos' then s.photos
+      when jsonb_typeof(changes->'photos') = 'array'
+        then array(select jsonb_array_elements_text(changes->'photos'))
+      else null
+    end,
+    edited_by = auth.uid(),
+    edited_at = now()
+  where s.id = submission_id
+  returning s.* into sub;
+
+  return sub;
+end;
+$$;
+
+-- Only moderator-or-above actions are moderation; submitter edits aren't logged.
+create or replace function public.log_submission_moderation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  action text;
+begin
+  if not public.has_role('moderator') then
+    return new;
+  end if;
+
+  if new.status is distinct from old.status and new.status = 'approved' then
+    action := 'approve';
+  elsif new.status is distinct from old.status and new.status = 'rejected' then
+    action := 'reject';
+  elsif new.edited_at is distinct from old.edited_at then
+    action := 'edit_submission';
+  else
+    return new;
+  end if;
+
+  perform public.log_moderation(action, 'submission', new.id::text, new.name, to_jsonb(old), to_jsonb(new));
+  return new;
+end;
+$$;
+
+-- ── Role management (admins only) ─────────────────────────────────────────
+
+create or replace function public.list_user_roles(search text default null, max_rows int default 50)
+returns table (user_id uuid, email text, role text, created_at timestamptz)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_role('admin') then
+    raise exception 'Admin access required';
+  end if;
+
+  return query
+  select u.id, u.email::text, coalesce(p.role, 'contributor'), u.created_at
+  from auth.users u
+  left join public.user_profiles p on p.id = u.id
+  where coalesce(btrim(search), '') = '' or u.email ilike '%' || btrim(search) || '%'
+  -- Staff first, then newest accounts
+  order by array_position(array['admin', 'moderator', 'contributor'], coalesce(p.role, 'contributor')),
+           u.created_at desc
+  limit least(greatest(max_rows, 1), 200);
+end;
+$$;
+
+create or replace function public.set_user_role(user_id uuid, new_role text)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_role('admin') then
+    raise exception 'Admin access required';
+  end if;
+  if new_role not in ('contributor', 'moderator', 'admin') then
+    raise exception 'Unknown role %', new_role;
+  end if;
+  if user_id = auth.uid() and new_role <> 'admin' then
+    raise exception 'You can''t remove your own admin role';
+  end if;
+  if not exists (select 1 from auth.users where id = user_id) then
+    raise exception 'User not found';
+  end if;
+
+  -- Create the profile first so the change goes through an update, which is
+  -- what the moderation log trigger records
+  insert into public.user_profiles (id) values (user_id) on conflict (id) do nothing;
+  update public.user_profiles set role = new_role where id = user_id;
+
+  return new_role;
+end;
+$$;
+
+grant execute on function public.list_user_roles(text, int) to authenticated;
+grant execute on function public.set_user_role(uuid, text) to authenticated;
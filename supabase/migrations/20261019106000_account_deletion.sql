@@ -0,0 +1,93 @@
+-- Self-service account deletion. Saves and collections cascade with the
+-- auth user; submissions stay (published places came from them) but lose
+-- everything that identifies the submitter, and pending ones are withdrawn.
+-- The moderation log keeps its entries with the user's id and email taken
+-- out of them.
+
+-- A log snapshot with every top-level value that is the user's id or email
+-- nulled out (submitter_email, submitted_by, reviewed_by, edited_by, ...)
+create or replace function public.jsonb_scrub_user(snapshot jsonb, user_id uuid, user_email text)
+returns jsonb
+language sql
+immutable
+as $$
+  select case when snapshot is null then null else (
+    select coalesce(
+      jsonb_object_agg(
+        key,
+        case
+          when lower(value #>> '{}') in (user_id::text, lower(coalesce(user_email, ''))) then 'null'::jsonb
+          else value
+        end
+      ),
+      '{}'::jsonb
+    )
+    from jsonb_each(snapshot)
+  ) end;
+$$;
+
+revoke all on function public.jsonb_scrub_user(jsonb, uuid, text) from public, anon, authenticated;
+
+create or replace function public.delete_my_account()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  uid uuid := auth.uid();
+  user_email text;
+begin
+  if uid is null then
+    raise exception 'Not signed in';
+  end if;
+
+  -- Last admin standing would lock everyone out of role management
+  if exists (select 1 from public.user_profiles where id = uid and role = 'admin')
+    and not exists (select 1 from public.user_profiles where role = 'admin' and id <> uid)
+  then
+    raise exception 'Make someone else an admin before deleting the only admin account';
+  end if;
+
+  select email into user_email from auth.users where id = uid;
+
+  update public.place_submissions
+  set status = 'withdrawn'
+  where submitted_by = uid and status = 'pending';
+
+  update public.place_submissions
+  set submitted_by = null,
+      submitter_email = null
+  where submitted_by = uid;
+
+  -- Review history keeps the decision but not the reviewer
+  update public.place_submissions set reviewed_by = null where reviewed_by = uid;
+  update public.place_submissions set edited_by = null where edited_by = uid;
+
+  -- Same for the audit log: the entries stay, the person doesn't. actor_id
+  -- goes with the auth user (on delete set null); the rest is copied text.
+  update public.moderation_log
+  set actor_email = null
+  where actor_id = uid or lower(actor_email) = lower(user_email);
+
+  update public.moderation_log
+  set target_name = null
+  where target_type = 'user' and target_id = uid::text;
+
+  update public.moderation_log
+  set before = public.jsonb_scrub_user(before, uid, user_email),
+      after = public.jsonb_scrub_user(after, uid, user_email)
+  where before::text ilike '%' || uid::text || '%'
+     or after::text ilike '%' || uid::text || '%'
+     or (user_email is not null and (
+       before::text ilike '%' || user_email || '%'
+       or after::text ilike '%' || user_email || '%'
+     ));
+
+  delete from public.user_profiles where id = uid;
+  delete from auth.users where id = uid;
+end;
+$$;
+
+revoke execute on function public.delete_my_account() from public, anon;
+grant execute on function public.delete_my_account() to authenticated;
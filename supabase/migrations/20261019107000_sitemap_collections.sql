@@ -0,0 +1,21 @@
+-- Shared collections for the sitemap. Like get_shared_collection this only
+-- exposes what a share link already shows: the slug, never the owner. Empty
+-- collections are left out; there's nothing on their page to index.
+
+create or replace function public.list_shared_collections()
+returns table (share_slug text, last_modified timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select c.share_slug, greatest(c.created_at, max(cp.created_at))
+  from public.collections c
+  join public.collection_places cp on cp.collection_id = c.id
+  join public.places p on p.id = cp.place_id and p.unpublished_at is null
+  where c.share_slug is not null
+  group by c.id, c.share_slug, c.created_at
+  order by c.share_slug;
+$$;
+
+grant execute on function public.list_shared_collections() to anon, authenticated;
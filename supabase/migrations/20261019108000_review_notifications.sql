@@ -0,0 +1,47 @@
+-- The review email goes out once per submission. The notify route claims the
+-- send by stamping notified_at; a claim only succeeds while it's still null,
+-- so repeated or concurrent calls can't email the submitter again.
+
+alter table public.place_submissions
+  add column if not exists notified_at timestamptz;
+
+create or replace function public.claim_review_notification(submission_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_role('moderator') then
+    raise exception 'Moderator access required';
+  end if;
+
+  update public.place_submissions
+  set notified_at = now()
+  where id = submission_id
+    and status in ('approved', 'rejected')
+    and notified_at is null;
+  return found;
+end;
+$$;
+
+-- Gives the claim back when the email couldn't be sent, so it can be retried
+create or replace function public.release_review_notification(submission_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_role('moderator') then
+    raise exception 'Moderator access required';
+  end if;
+
+  update public.place_submissions set notified_at = null where id = submission_id;
+end;
+$$;
+
+revoke execute on function public.claim_review_notification(uuid) from public, anon;
+revoke execute on function public.release_review_notification(uuid) from public, anon;
+grant execute on function public.claim_review_notification(uuid) to authenticated;
+grant execute on function public.release_review_notification(uuid) to authenticated;